@@ -8,16 +8,59 @@
  *
  * Usage:
  *
- * evttool [options]
+ * evttool [options] [FILE ...]
+ *
+ * FILE may be a path or a glob pattern. Files ending in .gz or .bz2 are
+ * decompressed as they're read. With no FILE, or when FILE is -, read stdin.
  *
  * -h
  * -e REGEX     show only events w/ top-level id that matches REGEX
  * -r           show report at end of input
+ * -o FORMAT    with -r, output the report as text (default), json or csv
+ * -g FIELD     with -r, split each operation by the value of FIELD
+ * --shapes KIND  with -r, break each operation down by the set or sequence
+ *              of sub-events its requests ran
+ * -f FIELD     keep FIELD of the source records on events (repeatable)
+ * --html FILE write the report as a self-contained HTML page to FILE
+ * --slowest N  with --html, show waterfalls of the slowest N requests of each
+ *              operation (default 5)
+ * -c BASELINE  compare the input with the baseline capture BASELINE
+ * --threshold PCT  with -c, exit 2 on significant slowdowns over PCT percent
+ * --rules FILE check each request against the anomaly rules in FILE
+ * --fail-on SEVERITY  with --rules, exit 3 on violations at least this severe
+ * --bounded    with -r, -c or --series, forget each request once it's counted
+ * --grace MS   with --bounded or --rules, a request is done MS ms after its
+ *              last end
+ * --max-requests N  with --bounded or --rules, force-close requests beyond N
+ *              at once
  * -s           show events as encountered (stream)
  * -t TIME      show only events that took more than TIME ms
  * -T REQ_ID    show a timeline of events for REQ_ID
+ * --expand-loops  with -T, show each repeat of a polling loop
+ * -P REQ_ID    show the critical path of REQ_ID
+ * -b           browse the requests interactively once all input is read
+ * -l SECS      live table of rates and latencies, refreshed every SECS seconds
+ * --series SECS  show requests started, completed and in flight, and their
+ *              latency, in SECS second intervals
+ * -w SECS      with -l, stats are for the last SECS seconds (default 60)
+ * -m           merge events from all FILEs in time order
+ * --skew MS    with -m, events in a file may be out of order by up to MS ms
+ * --strict     fail on malformed lines instead of skipping them
+ * --trace FILE write a Chrome Trace Event file (for chrome://tracing)
+ * --otlp DEST  export spans as OTLP/JSON to a file or collector URL
+ * --zipkin DEST export spans as Zipkin v2 JSON to a file or collector URL
+ * --filter EXPR  only include events matching EXPR (see README)
+ * --since TIME / --until TIME  only include events in this time range
+ * --req REQ_ID only include REQ_ID (repeatable)
+ * --req-file FILE  only include the req_ids listed in FILE
+ * --clocks     show the estimated clock offset of each host
+ * --fix-clocks correct each host's times by its estimated clock offset
+ * --orphans    show begins without ends, ends without begins, double begins
+ * --max-open-age MS  warn as soon as an event has been open for over MS ms
  * --no-color   disable colors in output
  *
+ * See lib/index.js to use evttool's parsing and analysis as a library.
+ *
  * Examples:
  *
  * # Show events as they are encountered on stdin
@@ -31,21 +74,92 @@
  * # Show a report of all docker.* events that took more than 100ms
  *
  *     cat <logs> | /evttool.js -r -e '^docker\.' -t 100
+ *
+ * # Show a report for a set of compressed log files
+ *
+ *     ./evttool.js -r '/var/log/sdc/upload/*.log.gz'
  */
 
+var crypto = require('crypto');
 var dashdash = require('dashdash');
-var path = require('path');
+var fs = require('fs');
+var http = require('http');
+var https = require('https');
+var url = require('url');
+
+var Analyzer = require('./lib/analyzer').Analyzer;
+var EvtParser = require('./lib/parser').EvtParser;
+var lib_clocks = require('./lib/clocks');
+var lib_common = require('./lib/common');
+var lib_compare = require('./lib/compare');
+var lib_filter = require('./lib/filter');
+var lib_html = require('./lib/html');
+var lib_input = require('./lib/input');
+var lib_rules = require('./lib/rules');
+var lib_series = require('./lib/series');
+var lib_spans = require('./lib/spans');
+var lib_stats = require('./lib/stats');
+
+var buildSpanTree = lib_spans.buildSpanTree;
+var checkRequest = lib_rules.checkRequest;
+var COMPARE_ALPHA = lib_compare.COMPARE_ALPHA;
+var compareReports = lib_compare.compareReports;
+var correctClocks = lib_clocks.correctClocks;
+var createFilter = lib_filter.createFilter;
+var createSeries = lib_series.createSeries;
+var createStats = lib_stats.createStats;
+var criticalSegments = lib_spans.criticalSegments;
+var estimateClocks = lib_clocks.estimateClocks;
+var expandInputs = lib_input.expandInputs;
+var findLoops = lib_spans.findLoops;
+var forEachLine = lib_input.forEachLine;
+var htmlReport = lib_html.htmlReport;
+var isUUID = lib_common.isUUID;
+var loadRules = lib_rules.loadRules;
+var mergeLines = lib_input.mergeLines;
+var parseTime = lib_filter.parseTime;
+var RULE_SEVERITIES = lib_rules.RULE_SEVERITIES;
+var seriesAddRequest = lib_series.seriesAddRequest;
+var seriesSummary = lib_series.seriesSummary;
+var severityAtLeast = lib_rules.severityAtLeast;
+var spanGaps = lib_spans.spanGaps;
+var statsAdd = lib_stats.statsAdd;
+var statsMerge = lib_stats.statsMerge;
+var statsSummary = lib_stats.statsSummary;
+var STATS_PERCENTILES = lib_stats.STATS_PERCENTILES;
+var trimIdSeq = lib_common.trimIdSeq;
+var walkSpans = lib_spans.walkSpans;
+
+// How many rows of the "Top Self Time" table the text report shows
+var REPORT_TOP_SELF = 20;
+
+// How many rows of the "Polling Loops" table the text report shows
+var REPORT_TOP_LOOPS = 20;
+
+// How many intervals of --series go on one line of its charts
+var SERIES_WIDTH = 60;
+var SPARK_CHARS = '\u2581\u2582\u2583\u2584\u2585\u2586\u2587\u2588';
+
+// How many of the slowest requests of each operation --html shows by default
+var HTML_SLOWEST = 5;
+
+// How many spans to send to a collector (or write as one OTLP line) at once
+var SPAN_BATCH_SIZE = 1000;
 
 // GLOBALS
-var insaneReqs = {};
-var ignoredIds = {};
-var lateReqs = {};
+var analyzer;
+var browse = null;
+var evtParser;
 var stylize = stylizeWithColor;
-var openEvents = {};
+var openCheckTime = 0;
 var options;
+var ruleFailures = 0;
+var series = null;
 var cmdline_opts;
 var parser;
-var requestEvents = {};
+var live = null;
+var spanExport = null;
+var trace = null;
 var warnings = [];
 
 // define the options
@@ -71,6 +185,104 @@ options = [
         type: 'bool',
         help: 'Output a report once all data is read'
     },
+    {
+        names: ['output', 'o'],
+        type: 'string',
+        help: 'Output format for --report: text (default), json or csv',
+        helpArg: 'FORMAT',
+        default: 'text'
+    },
+    {
+        names: ['group-by', 'g'],
+        type: 'string',
+        help: 'With --report, split each operation by the value of FIELD (eg. '
+            + 'image_uuid), taken from the first of its events that has it',
+        helpArg: 'FIELD'
+    },
+    {
+        names: ['field', 'f'],
+        type: 'arrayOfString',
+        help: 'Keep FIELD (eg. vm_uuid or evt.args) of the source records on '
+            + 'events. May be repeated or comma-separated.',
+        helpArg: 'FIELD'
+    },
+    {
+        names: ['shapes'],
+        type: 'string',
+        help: 'With --report or --html, also break each operation down by the '
+            + 'shape of its requests: the "set" or "sequence" of sub-events '
+            + 'they ran',
+        helpArg: 'KIND'
+    },
+    {
+        names: ['html'],
+        type: 'string',
+        help: 'Write the report as a self-contained HTML page to FILE (- for '
+            + 'stdout)',
+        helpArg: 'FILE'
+    },
+    {
+        names: ['slowest'],
+        type: 'positiveInteger',
+        help: 'With --html, show a waterfall of the slowest N requests of '
+            + 'each operation (default ' + HTML_SLOWEST + ')',
+        helpArg: 'N'
+    },
+    {
+        names: ['compare', 'c'],
+        type: 'arrayOfString',
+        help: 'Compare the FILEs against the baseline capture in BASELINE (a '
+            + 'file or glob, may be repeated)',
+        helpArg: 'BASELINE'
+    },
+    {
+        names: ['threshold'],
+        type: 'positiveInteger',
+        help: 'With --compare, exit 2 if any significant slowdown of p50 or '
+            + 'p99 is more than PCT percent (default 10)',
+        helpArg: 'PCT',
+        default: 10
+    },
+    {
+        names: ['rules'],
+        type: 'string',
+        help: 'Check each request against the anomaly rules in FILE (JSON, or '
+            + 'YAML if it ends in .yaml or .yml), in the report or, without '
+            + 'one, as each request finishes',
+        helpArg: 'FILE'
+    },
+    {
+        names: ['fail-on'],
+        type: 'string',
+        help: 'With --rules, exit 3 if any violation is at least SEVERITY: '
+            + RULE_SEVERITIES.join(', ') + ' (default warning)',
+        helpArg: 'SEVERITY'
+    },
+    {
+        names: ['bounded'],
+        type: 'bool',
+        help: 'With --report, --compare or --series, keep memory bounded on '
+            + 'big captures: add each request to the report (or series) as '
+            + 'soon as it has finished, then forget it'
+    },
+    {
+        names: ['grace'],
+        type: 'positiveInteger',
+        help: 'With --bounded or --rules, a request has finished once nothing '
+            + 'in it has been open for MS milliseconds of event time (default '
+            + '60000)',
+        helpArg: 'MS',
+        default: 60000
+    },
+    {
+        names: ['max-requests'],
+        type: 'positiveInteger',
+        help: 'With --bounded or --rules, force-close the least recently '
+            + 'active requests when more than N are in progress (default '
+            + '100000)',
+        helpArg: 'N',
+        default: 100000
+    },
     {
         names: ['stream', 's'],
         type: 'bool',
@@ -88,118 +300,151 @@ options = [
         help: 'Show a timeline view of a specific request',
         helpArg: 'REQ_ID'
     },
+    {
+        names: ['expand-loops'],
+        type: 'bool',
+        help: 'With --timeline, show each repeat of a retry or polling loop '
+            + 'instead of one line for the whole loop'
+    },
+    {
+        names: ['critical-path', 'P'],
+        type: 'string',
+        help: 'Show the chain of events that determined how long a specific '
+            + 'request took',
+        helpArg: 'REQ_ID'
+    },
+    {
+        names: ['browse', 'b'],
+        type: 'bool',
+        help: 'Browse the requests interactively (slowest first) once all '
+            + 'input is read'
+    },
+    {
+        names: ['live', 'l'],
+        type: 'positiveInteger',
+        help: 'Show a table of per-event rates and latencies, refreshed every '
+            + 'SECS seconds (eg. for tail -f)',
+        helpArg: 'SECS'
+    },
+    {
+        names: ['series'],
+        type: 'positiveInteger',
+        help: 'Show how many requests of each top-level id started, completed '
+            + 'and were in flight, and their latency, in SECS second intervals',
+        helpArg: 'SECS'
+    },
+    {
+        names: ['window', 'w'],
+        type: 'positiveInteger',
+        help: 'With --live, compute stats over the last SECS seconds of '
+            + 'events (default 60)',
+        helpArg: 'SECS',
+        default: 60
+    },
+    {
+        names: ['clocks'],
+        type: 'bool',
+        help: 'At the end, show the clock offset of each host, estimated from '
+            + 'where child events ran within their parents'
+    },
+    {
+        names: ['fix-clocks'],
+        type: 'bool',
+        help: 'Correct the times of each host by its estimated clock offset '
+            + 'before the timeline, report, etc.'
+    },
+    {
+        names: ['orphans'],
+        type: 'bool',
+        help: 'At the end, show events that began but never ended, ended '
+            + 'without beginning, or began twice'
+    },
+    {
+        names: ['max-open-age'],
+        type: 'positiveInteger',
+        help: 'Warn about events that have been open for more than MS '
+            + 'milliseconds (of event time) as soon as that happens',
+        helpArg: 'MS'
+    },
     {
         names: ['no-color'],
         type: 'bool',
         help: 'Disable all colors'
+    },
+    {
+        names: ['trace'],
+        type: 'string',
+        help: 'Write events to FILE (- for stdout) in Chrome Trace Event '
+            + 'format, for chrome://tracing or Perfetto',
+        helpArg: 'FILE'
+    },
+    {
+        names: ['otlp'],
+        type: 'string',
+        help: 'Export spans as OpenTelemetry (OTLP/JSON) to DEST: a file, - '
+            + 'for stdout, or an http(s) URL to POST to',
+        helpArg: 'DEST'
+    },
+    {
+        names: ['zipkin'],
+        type: 'string',
+        help: 'Export spans as Zipkin v2 JSON to DEST: a file, - for stdout, '
+            + 'or an http(s) URL to POST to',
+        helpArg: 'DEST'
+    },
+    {
+        names: ['filter'],
+        type: 'string',
+        help: 'Only include events matching EXPR, eg. \'hostname =~ /^cn/ && '
+            + 'elapsed > 500 && id == "cnapi.waitlistticket"\'',
+        helpArg: 'EXPR'
+    },
+    {
+        names: ['since'],
+        type: 'string',
+        help: 'Only include events at or after TIME: ISO 8601 or relative to '
+            + 'now (eg. 2h, 30m, 1d)',
+        helpArg: 'TIME'
+    },
+    {
+        names: ['until'],
+        type: 'string',
+        help: 'Only include events before TIME (same forms as --since)',
+        helpArg: 'TIME'
+    },
+    {
+        names: ['req'],
+        type: 'arrayOfString',
+        help: 'Only include events for this REQ_ID. May be repeated.',
+        helpArg: 'REQ_ID'
+    },
+    {
+        names: ['req-file'],
+        type: 'string',
+        help: 'Only include events for the req_ids in FILE (one per line)',
+        helpArg: 'FILE'
+    },
+    {
+        names: ['strict'],
+        type: 'bool',
+        help: 'Fail on the first line that is not a valid bunyan record, '
+            + 'instead of skipping it'
+    },
+    {
+        names: ['merge', 'm'],
+        type: 'bool',
+        help: 'Read all FILEs at once, merging their events in time order'
+    },
+    {
+        names: ['skew'],
+        type: 'positiveInteger',
+        help: 'With --merge, allow events within a file to be out of order '
+            + 'by up to MS milliseconds (default 1000)',
+        helpArg: 'MS',
+        default: 1000
     }
 ];
 
-/*
- * Call line_cb(line) for each line in stdin,
- * then call callback([err]) on EOF or error.
- */
-function forEachLine(line_cb, callback)
-{
-    var buffer = '';
-    var chunks;
-
-    process.stdin.resume();
-
-    process.stdin.on('end', function () {
-        // remainder
-        line_cb(buffer);
-        callback();
-    });
-
-    process.stdin.on('data', function (data) {
-        var chunk;
-
-        buffer += data.toString();
-        chunks = buffer.split('\n');
-        while (chunks.length > 1) {
-            chunk = chunks.shift();
-            line_cb(chunk);
-        }
-        buffer = chunks.pop();
-    });
-}
-
-/*
- * Returns: true if 'str' is a UUID, false otherwise.
- */
-function isUUID(str)
-{
-    var re = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/;
-    if (str && str.length === 36 && str.match(re)) {
-        return true;
-    } else {
-        return false;
-    }
-}
-
-/*
- * Normalize the bunyan message into an Event object with:
- *
- * evt.id:       Something like machine_create.create.create-zone-uuid
- * evt.req_id:   The UUID of the request this event belongs to
- * evt.time:     The timestamp of the event (ms since Unix Epoch)
- * evt.phase:    One of: 'begin' or 'end'
- * evt.hostname: The hostname of the zone/CN where this event occurred
- *
- */
-function objToEvent(obj)
-{
-    var evt = {};
-    var id;
-
-    if (!obj.evt || !obj.req_id || ['b', 'e'].indexOf(obj.evt.ph) === -1) {
-        return (null);
-    }
-
-    // keep only the fields we use
-    evt.className = path.basename(obj.name); // eg. machine_create, vmapi, etc
-    evt.hostname = obj.hostname;
-    evt.label = obj.evt.name;
-    evt.pid = obj.pid;
-    evt.stack = obj.stack;
-    evt.time = (new Date(obj.time)).getTime();
-    evt.phase = (obj.evt.ph === 'b') ? 'begin' : 'end';
-    evt.req_id = obj.req_id;
-
-    /*
-     * Unfortunately usage here is inconsistent. Try to make it moreso.
-     */
-    if (evt.stack) {
-        id = evt.stack;
-    } else if (evt.className === evt.label) {
-        id = evt.className;
-    } else if (evt.label.indexOf(evt.className) === 0) {
-        id = evt.label;
-    } else {
-        id = evt.className + '.' + evt.label;
-    }
-    evt.id = id;
-
-    // req_time/req_seq can be used to differentiate requests that would
-    // otherwise be identical, we hide it from output/aggregations but include
-    // in the id.
-    if (obj.evt.req_time) {
-        evt.id = evt.id + '.' + obj.evt.req_time;
-    } else if (obj.evt.req_seq) {
-        evt.id = evt.id + '.' + obj.evt.req_seq;
-    }
-
-    // Remove some fields we don't care about for now
-    delete evt.className;
-    delete evt.label;
-    delete evt.pid;
-    delete evt.stack;
-
-    return (evt);
-}
-
-
 //
 // Color handling stolen from node-bunyan
 //
@@ -279,6 +524,16 @@ function fitTo(str, len, opts)
     return (str);
 }
 
+/*
+ * A duration in ms as eg. 180ms or 38.1s.
+ */
+function fmtDuration(ms) {
+    if (ms < 1000) {
+        return (ms + 'ms');
+    }
+    return ((ms / 1000).toFixed(1) + 's');
+}
+
 /*
  * Show the *time* only, no date.
  */
@@ -286,23 +541,21 @@ function shortTime(time) {
     return (new Date(time).toISOString().split(/[TZ]/)[1]);
 }
 
-function trimIdSeq(id) {
-    // imgapi.getimage.1429078896344 -> imgapi.getimage
-    return (id.replace(/\.[0-9]+$/, ''));
+function shortHost(hostname) {
+    // 40b5acf5-40a5-4c72-b2c5-4c1a4d3e7a3e -> 40b5acf5
+    if (isUUID(hostname)) {
+        return (hostname.split('-')[0]);
+    }
+    return (hostname);
 }
 
 function shortFmt(evt, opts) {
     var action_prefix = (opts ? opts.prefix : null);
     var evt_id = trimIdSeq(evt.id);
-    var hostname = evt.hostname;
+    var hostname = fitTo(shortHost(evt.hostname), 8);
     var req_id = evt.req_id;
     var time = shortTime(evt.time);
 
-    if (isUUID(hostname)) {
-        hostname = hostname.split('-')[0];
-    }
-    hostname = fitTo(hostname, 8);
-
     if (evt.phase === 'end' && evt.elapsed) {
         if (opts && opts.start_plus) {
             time = time + fitTo(' +' + evt.elapsed, 8,
@@ -325,113 +578,6 @@ function shortFmt(evt, opts) {
         + ' -- ' + evt_id);
 }
 
-function evtSig(evt) {
-    return (evt.req_id + ':' + evt.hostname + ':' + evt.id);
-}
-
-function reportProcessRequest(req_id, events, data) {
-    var datapoints;
-    var expected_finish;
-    var first;
-    var first_id;
-    var sorted;
-
-    sorted = events.sort(function _eventSorter(a, b) {
-        return (a.start - b.start);
-    });
-
-    first = sorted[0];
-    first_id = trimIdSeq(first.id);
-
-    // XXX this assumes a synchronous request at the top level and all other
-    // bits for the req_id happen in between.
-
-    // if we've got a time filter, remove those that are too fast
-    if (cmdline_opts.time && first.elapsed < cmdline_opts.time) {
-        return;
-    }
-
-    if (cmdline_opts.events && !first_id.match(cmdline_opts.events)) {
-        // console.log('SKIPPING: ' + first_id + ' due to --events');
-        return;
-    }
-
-    expected_finish = first.start + first.elapsed;
-
-    // Eg. docker.containercreate
-    if (!data.hasOwnProperty(first_id)) {
-        data[first_id] = {
-            count: 0,
-            events: {},
-            max: 0,
-            min: 0
-        };
-    }
-    data[first_id].count++;
-    if (data[first_id].min === 0 || first.elapsed < data[first_id].min) {
-        data[first_id].min = first.elapsed;
-    }
-    if (data[first_id].max === 0 || first.elapsed > data[first_id].max) {
-        data[first_id].max = first.elapsed;
-    }
-
-    // Sum the datapoints for this record
-    datapoints = {};
-    sorted.forEach(function _recordOne(evt) {
-        var id = trimIdSeq(evt.id);
-
-        if (!datapoints[id]) {
-            datapoints[id] = {};
-        }
-        datapoints[id].count = (!datapoints[id].count
-            ? 1 : (datapoints[id].count + 1));
-        datapoints[id].total = (!datapoints[id].total
-            ? evt.elapsed : (datapoints[id].total + evt.elapsed));
-
-        // Any req_id with more than 100 runs of the same task seems like a
-        // problem
-        if (datapoints[id].count > 100) {
-            if (!insaneReqs.hasOwnProperty(req_id)) {
-                insaneReqs[req_id] = {};
-            }
-            insaneReqs[req_id][id] = datapoints[id].count;
-        }
-        if (evt.start > expected_finish) {
-            if (!lateReqs.hasOwnProperty(req_id)) {
-                lateReqs[req_id] = {};
-            }
-            lateReqs[req_id][id] =
-                (!lateReqs[req_id][id] ? 1 : lateReqs[req_id][id] + 1);
-        }
-    });
-
-    // Any datapoints we want to merge into data, do so now
-    Object.keys(datapoints).forEach(function (k) {
-        if (!data[first_id].events.hasOwnProperty(k)) {
-            data[first_id].events[k] = {
-                // counts: [],
-                max: 0,
-                min: 0,
-                sum: 0,
-                values: []
-            };
-        }
-        // data[first_id].events[k].counts.push(datapoints[k].count);
-        data[first_id].events[k].values.push(datapoints[k].total);
-        data[first_id].events[k].sum += datapoints[k].total;
-        if (data[first_id].events[k].max === 0
-            || datapoints[k].total > data[first_id].events[k].max) {
-
-            data[first_id].events[k].max = datapoints[k].total;
-        }
-        if (data[first_id].events[k].min === 0
-            || datapoints[k].total < data[first_id].events[k].min) {
-
-            data[first_id].events[k].min = datapoints[k].total;
-        }
-    });
-}
-
 function filler(character, count) {
     var i;
     var retstr = '';
@@ -443,219 +589,1920 @@ function filler(character, count) {
     return (retstr);
 }
 
-function powerOfTwoBuckets(data) {
-    var buckets = {max_count: 0};
-    var max;
-    var min;
-
-    data.forEach(function (d) {
-        var bucket = 0;
-        var bucket_value;
-
-        while (d >= Math.pow(2, bucket)) {
-            bucket++;
-        }
-        bucket_value = Math.pow(2, bucket);
-
-        if (min === undefined || bucket_value < min) {
-            min = bucket_value;
-        }
-        if (max === undefined || bucket_value > max) {
-            max = bucket_value;
-        }
-
-        if (!buckets[bucket_value]) {
-            buckets[bucket_value] = 0;
-        }
-        buckets[bucket_value]++;
-        if (buckets[bucket_value] > buckets.max_count) {
-            buckets.max_count = buckets[bucket_value];
-        }
-    });
-
-    for (var i = (min / 2); i <= (max * 2); i = i * 2) {
-        if (i > 0) {
-            if (!buckets.hasOwnProperty(i)) {
-                buckets[i] = 0;
-            }
-        }
-    }
-
-    return (buckets);
+function fmtPercentiles(summary) {
+    return (STATS_PERCENTILES.map(function (pct) {
+        return ('p' + pct + ': ' + summary['p' + pct]);
+    }).join(', '));
 }
 
-function outputReport() {
-    var count = 0;
-    var data = {};
-
-    // Add data from all requests to "data"
-    Object.keys(requestEvents).forEach(function _requestEvent(k) {
-        reportProcessRequest(k, requestEvents[k], data);
-    });
+function outputReportText(report) {
+    report.operations.forEach(function (operation, idx) {
+        var top = operation.stats;
 
-    Object.keys(data).forEach(function (id) {
-        if (count > 0) {
+        if (idx > 0) {
             console.log('');
         }
-        count++;
-        console.log(id + ' (count: ' + data[id].count + ', min: ' + data[id].min
-            + ', max: ' + data[id].max + ')\n  \\');
-        Object.keys(data[id].events).sort(function (a, b) {
-            return (data[id].events[b].max - data[id].events[a].max);
-        }).forEach(function (_event) {
-            var evt = data[id].events[_event];
-            var median_idx = Math.floor((evt.values.length + 1) / 2);
-
-            if (cmdline_opts.time && evt.max < cmdline_opts.time) {
-                // the slowest one here was too fast for us to care about, skip.
-                return;
-            }
-
-            evt.mean = Math.floor((evt.sum / evt.values.length) * 100) / 100;
-            evt.median = evt.values.sort()[median_idx];
-            evt.buckets = powerOfTwoBuckets(evt.values);
-
-            console.log('   ' + _event
-                + ' (min: ' + evt.min
-                + ', max: ' + evt.max
-                + ', mean: ' + evt.mean
-                + ', median: ' + evt.median + ')');
+        console.log(operation.id + ' (count: ' + operation.count + ', min: '
+            + top.min + ', max: ' + top.max + ', mean: ' + top.mean
+            + ', stddev: ' + top.stddev + ')');
+        console.log('  ' + fmtPercentiles(top) + '\n  \\');
+
+        operation.events.forEach(function (evt) {
+            var summary = evt.stats;
+
+            console.log('   ' + evt.id
+                + ' (count: ' + summary.count
+                + ', min: ' + summary.min
+                + ', max: ' + summary.max
+                + ', mean: ' + summary.mean
+                + ', stddev: ' + summary.stddev + ')');
+            console.log('      ' + fmtPercentiles(summary));
+            console.log('      self (mean: ' + evt.self.mean + ', '
+                + fmtPercentiles(evt.self) + ')');
             console.log('      value  ----------------------- '
                 + 'Distribution ----------------------- count');
-            Object.keys(evt.buckets).sort(function (a, b) {
-                if (a === 'max_count') {
-                    a = 0;
-                }
-                if (b === 'max_count') {
-                    b = 0;
-                }
-                return (Number(a) - Number(b));
-            }).forEach(function (b) {
+            evt.buckets.forEach(function (b) {
                 var hist;
 
-                if (b === 'max_count') {
-                    return;
-                }
-
                 hist = filler('#',
-                    Math.round(60 * evt.buckets[b] / evt.values.length));
+                    Math.round(60 * b.count / summary.count));
+
+                console.log(filler(' ', 11 - b.value.toString().length)
+                    + b.value + '| ' + hist + filler(' ', 61 - hist.length)
+                    + b.count);
+            });
 
-                console.log(filler(' ', 11 - b.toString().length) + b + '| '
-                    + hist + filler(' ', 61 - hist.length) + evt.buckets[b]);
+            // Only interesting when the event ran on more than one host
+            if (evt.hosts.length < 2) {
+                return;
+            }
+            console.log('      ' + fitTo('host', 36) + ' '
+                + fitTo('count', 7, {dir: 'right'}) + ' '
+                + fitTo('p50', 8, {dir: 'right'}) + ' '
+                + fitTo('p99', 8, {dir: 'right'}));
+            evt.hosts.forEach(function (host) {
+                console.log('      ' + fitTo(shortHost(host.hostname), 36) + ' '
+                    + fitTo(host.count, 7, {dir: 'right'}) + ' '
+                    + fitTo(host.p50, 8, {dir: 'right'}) + ' '
+                    + fitTo(host.p99, 8, {dir: 'right'})
+                    + (host.hot ? stylize('  HOT', 'red') : ''));
             });
         });
     });
-}
 
-function outputTimeline() {
-    var ends = [];
-    var level = 0;
-    var first_start = 0;
-    var seen_starts = {};
-    var sorted;
+    if (cmdline_opts.shapes) {
+        console.log('\n=== Request Shapes ===');
+        report.operations.forEach(function (operation) {
+            console.log(operation.id);
+            operation.shapes.forEach(function (shape, idx) {
+                console.log('  shape ' + (idx + 1) + ': ' + shape.count
+                    + ' requests (' + shape.share_pct + '%), p50: '
+                    + shape.stats.p50 + ', p99: ' + shape.stats.p99
+                    + ', max: ' + shape.stats.max + ', eg. ' + shape.example);
+                console.log('    ' + (shape.events.length > 0
+                    ? shape.events.join(cmdline_opts.shapes === 'set' ? ', '
+                    : ' > ') : '(no sub-events)'));
+            });
+        });
+    }
 
-    if (!requestEvents.hasOwnProperty(cmdline_opts.timeline)) {
-        console.error('ERROR: No events for req_id: ' + cmdline_opts.timeline + ' found');
-        return;
+    if (report.hot_hosts.length > 0) {
+        console.log('\n=== Hot Hosts ===');
+        console.log(fitTo('P50', 8, {dir: 'right'}) + ' '
+            + fitTo('FLEET', 8, {dir: 'right'}) + ' '
+            + fitTo('COUNT', 7, {dir: 'right'}) + '  ' + fitTo('HOST', 36)
+            + '  EVENT');
+        report.hot_hosts.forEach(function (hot) {
+            console.log(fitTo(hot.p50, 8, {dir: 'right'}) + ' '
+                + fitTo(hot.fleet_p50, 8, {dir: 'right'}) + ' '
+                + fitTo(hot.count, 7, {dir: 'right'}) + '  '
+                + fitTo(shortHost(hot.hostname), 36) + '  ' + hot.event
+                + ' (' + hot.operation + ')');
+        });
     }
 
-    sorted = requestEvents[cmdline_opts.timeline].sort(function (a, b) {
-        if (a.start === b.start) {
-            return (a.id.length - b.id.length);
-        }
-        return (a.start - b.start);
-    });
+    if (report.self_time.length > 0) {
+        console.log('\n=== Top Self Time ===');
+        console.log(fitTo('TOTAL', 12, {dir: 'right'}) + ' '
+            + fitTo('SHARE', 7, {dir: 'right'}) + ' '
+            + fitTo('MEAN', 10, {dir: 'right'}) + ' '
+            + fitTo('COUNT', 7, {dir: 'right'}) + '  EVENT');
+        report.self_time.slice(0, REPORT_TOP_SELF).forEach(function (entry) {
+            console.log(fitTo(entry.total, 12, {dir: 'right'}) + ' '
+                + fitTo(entry.share_pct + '%', 7, {dir: 'right'}) + ' '
+                + fitTo(entry.mean, 10, {dir: 'right'}) + ' '
+                + fitTo(entry.count, 7, {dir: 'right'}) + '  ' + entry.id);
+        });
+    }
 
-    function printEnd(evt) {
-        var prefix = '';
+    if (report.polling_loops.length > 0) {
+        console.log('\n=== Polling Loops ===');
+        console.log(fitTo('TOTAL', 12, {dir: 'right'}) + ' '
+            + fitTo('SHARE', 7, {dir: 'right'}) + ' '
+            + fitTo('MEAN', 10, {dir: 'right'}) + ' '
+            + fitTo('LOOPS', 7, {dir: 'right'}) + ' '
+            + fitTo('REPEATS', 8, {dir: 'right'}) + '  OPERATION: EVENT');
+        report.polling_loops.slice(0, REPORT_TOP_LOOPS).forEach(
+            function (loop) {
+
+            console.log(fitTo(loop.total, 12, {dir: 'right'}) + ' '
+                + fitTo(loop.share_pct + '%', 7, {dir: 'right'}) + ' '
+                + fitTo(loop.mean, 10, {dir: 'right'}) + ' '
+                + fitTo(loop.count, 7, {dir: 'right'}) + ' '
+                + fitTo(loop.repeats, 8, {dir: 'right'}) + '  '
+                + loop.operation + ': ' + loop.id);
+        });
+    }
 
-        if (ends.length > 0) {
-            prefix = fitTo('+' + (evt.time - first_start).toString(), 13, {dir: 'right'});
-        } else {
-            prefix = evt.time.toString();
-        }
+    if (report.force_closed > 0) {
+        console.log('\n=== Force-Closed Requests ===');
+        console.log(report.force_closed + ' requests were force-closed '
+            + 'because over --max-requests were in progress; any of their '
+            + 'events still open then are not in this report');
+    }
 
-        console.log(prefix + ' (' + fitTo(evt.elapsed + ')', 7) + filler(' ', evt.level * 4)
-            + 'END   ' + evt.id + evt.suffix);
+    if (report.late_events > 0) {
+        console.log('\n=== Late Events ===');
+        console.log(report.late_events + ' events came in after their request '
+            + 'was finished and are not in this report; a longer --grace '
+            + 'would include them');
     }
 
-    function printStart(evt) {
-        var prefix = '';
+    if (report.violations.length > 0) {
+        console.log('\n=== Anomalies ===');
+        console.log(fitTo('SEVERITY', 8) + '  ' + fitTo('RULE', 16) + ' '
+            + fitTo('COUNT', 7, {dir: 'right'}) + '  ' + fitTo('REQ_ID', 36)
+            + '  EVENT');
+        report.violations.forEach(function (violation) {
+            console.log(fmtViolation(violation));
+        });
+    }
+}
 
-        if (first_start === 0) {
-            first_start = evt.start;
-            prefix = evt.start.toString();
-        } else {
-            prefix = fitTo('+' + (evt.start - first_start).toString(), 13, {dir: 'right'});
-        }
+/*
+ * Returns 'arg' quoted for a shell, if it needs to be.
+ */
+function shellQuote(arg) {
+    if (arg.match(/^[\w@%+=:,.\/-]+$/)) {
+        return (arg);
+    }
+    return ('\'' + arg.replace(/'/g, '\'\\\'\'') + '\'');
+}
 
-        console.log(prefix + ' ' + filler(' ', (level * 4) + 7)
-            + ' START ' + evt.id + evt.suffix);
+/*
+ * Returns the command line that shows the timeline of 'req_id' from the same
+ * input as this run, with the options that change which events it sees or
+ * when they happened. Relative --since and --until times are given as the
+ * times they stood for, so that the command still works later.
+ */
+function timelineCommand(req_id) {
+    var args = ['evttool'];
+    var cmd;
 
+    if (cmdline_opts.merge) {
+        args.push('-m');
     }
-
-    console.log('(all times are in milliseconds)');
-    console.log('REQ_ID: ' + cmdline_opts.timeline + '\n');
-    sorted.forEach(function (evt) {
-        var printme = [];
-
-        ends = ends.filter(function (e) {
-            if (evt.start >= e.time) {
-                level--;
-                printme.push(e);
-                return (false);
+    if (cmdline_opts.fix_clocks) {
+        args.push('--fix-clocks');
+    }
+    if (cmdline_opts.filter) {
+        args.push('--filter', cmdline_opts.filter);
+    }
+    if (cmdline_opts.since) {
+        args.push('--since',
+            new Date(parseTime(cmdline_opts.since)).toISOString());
+    }
+    if (cmdline_opts.until) {
+        args.push('--until',
+            new Date(parseTime(cmdline_opts.until)).toISOString());
+    }
+    args.push('-T', req_id);
+
+    cmd = args.concat(cmdline_opts._args).map(shellQuote).join(' ');
+    if (cmdline_opts._args.length === 0) {
+        cmd += '  # input was stdin';
+    }
+    return (cmd);
+}
+
+/*
+ * A violation of an anomaly rule (see checkRequest()) as a line of the
+ * "Anomalies" table, followed by how to see its timeline.
+ */
+function fmtViolation(violation) {
+    var color = {critical: 'red', warning: 'yellow'}[violation.severity];
+    var severity = fitTo(violation.severity, 8);
+
+    return ((color ? stylize(severity, color) : severity) + '  '
+        + fitTo(violation.rule, 16, {trunc: false}) + ' '
+        + fitTo(violation.count, 7, {dir: 'right'}) + '  '
+        + fitTo(violation.req_id, 36, {trunc: false}) + '  ' + violation.id
+        + ': ' + violation.detail + '\n'
+        + '          $ ' + violation.timeline);
+}
+
+function csvField(value) {
+    var str = (value === undefined || value === null ? '' : String(value));
+
+    if (str.match(/[",\n]/)) {
+        str = '"' + str.replace(/"/g, '""') + '"';
+    }
+    return (str);
+}
+
+/*
+ * The report as a single CSV table. The "type" column says what each row is:
+ *
+ *  operation   a top-level operation (event is empty)
+ *  event       a sub-event of an operation
+ *  self        the self (exclusive) time stats of a sub-event
+ *  bucket      one power-of-two bucket of a sub-event's histogram: "bucket"
+ *              is the bucket's upper bound, "count" the number of values
+ *  host        a sub-event's "count", "p50" and "p99" on one "hostname"
+ *  shape       with --shapes, the stats of the requests of an operation with
+ *              one shape: its sub-events in "event" (space separated), the
+ *              "share_pct" of the operation's requests and an example "req_id"
+ *  hot_host    a "hostname" whose "p50" for a sub-event is well over the
+ *              fleet's
+ *  top_self    total self time of a sub-event over all operations: "total",
+ *              "count" (requests), "mean" and "share_pct" of all self time
+ *  polling_loop  a retry or polling loop of "event"s in an operation: the
+ *              "count" of loops, their "repeats", "total" and "mean" ms, and
+ *              "share_pct" of the operation's time
+ *  late        a sub-event of req_id that started after its parent ended
+ *  insane      a sub-event that was repeated "count" times in req_id
+ *  violation   a violation of an anomaly "rule" by "count" of a sub-event in
+ *              req_id, with its "severity" and "detail" (see checkRequest())
+ *  force_closed  with --bounded, the "count" of requests force-closed
+ *  late_events   with --bounded, the "count" of events left out because their
+ *              request had already been finished
+ */
+function outputReportCSV(report) {
+    var columns = ['type', 'operation', 'event', 'req_id', 'bucket', 'count',
+        'min', 'max', 'mean', 'stddev'];
+
+    columns = columns.concat(STATS_PERCENTILES.map(function (pct) {
+        return ('p' + pct);
+    }), ['total', 'share_pct', 'hostname', 'rule', 'severity', 'detail',
+        'repeats']);
+
+    function row(fields) {
+        console.log(columns.map(function (col) {
+            return (csvField(fields[col]));
+        }).join(','));
+    }
+
+    function statsRow(type, operation, evt, stats) {
+        var fields = {type: type, operation: operation, event: evt};
+
+        Object.keys(stats).forEach(function (k) {
+            fields[k] = stats[k];
+        });
+        row(fields);
+    }
+
+    console.log(columns.join(','));
+    report.operations.forEach(function (operation) {
+        statsRow('operation', operation.id, '', operation.stats);
+        operation.events.forEach(function (evt) {
+            statsRow('event', operation.id, evt.id, evt.stats);
+            statsRow('self', operation.id, evt.id, evt.self);
+            evt.buckets.forEach(function (b) {
+                row({
+                    type: 'bucket',
+                    operation: operation.id,
+                    event: evt.id,
+                    bucket: b.value,
+                    count: b.count
+                });
+            });
+            evt.hosts.forEach(function (host) {
+                row({type: 'host', operation: operation.id, event: evt.id,
+                    hostname: host.hostname, count: host.count, p50: host.p50,
+                    p99: host.p99});
+            });
+        });
+        (operation.shapes || []).forEach(function (shape) {
+            var fields = {type: 'shape', operation: operation.id,
+                event: shape.events.join(' '), req_id: shape.example,
+                share_pct: shape.share_pct};
+
+            Object.keys(shape.stats).forEach(function (k) {
+                fields[k] = shape.stats[k];
+            });
+            row(fields);
+        });
+    });
+    report.hot_hosts.forEach(function (hot) {
+        row({type: 'hot_host', operation: hot.operation, event: hot.event,
+            hostname: hot.hostname, count: hot.count, p50: hot.p50});
+    });
+    report.self_time.forEach(function (entry) {
+        row({type: 'top_self', event: entry.id, count: entry.count,
+            mean: entry.mean, total: entry.total, share_pct: entry.share_pct});
+    });
+    report.polling_loops.forEach(function (loop) {
+        row({type: 'polling_loop', operation: loop.operation, event: loop.id,
+            count: loop.count, repeats: loop.repeats, total: loop.total,
+            mean: loop.mean, share_pct: loop.share_pct});
+    });
+    report.late_requests.forEach(function (late) {
+        row({type: 'late', event: late.id, req_id: late.req_id,
+            count: late.count});
+    });
+    report.insane_requests.forEach(function (insane) {
+        row({type: 'insane', event: insane.id, req_id: insane.req_id,
+            count: insane.count});
+    });
+    report.violations.forEach(function (violation) {
+        row({type: 'violation', operation: violation.operation,
+            event: violation.id, req_id: violation.req_id,
+            count: violation.count, rule: violation.rule,
+            severity: violation.severity, detail: violation.detail});
+    });
+    if (report.force_closed !== undefined) {
+        row({type: 'force_closed', count: report.force_closed});
+    }
+    if (report.late_events !== undefined) {
+        row({type: 'late_events', count: report.late_events});
+    }
+}
+
+function outputReport(report) {
+    switch (cmdline_opts.output) {
+        case 'json':
+            console.log(JSON.stringify(report, null, 2));
+            break;
+        case 'csv':
+            outputReportCSV(report);
+            break;
+        default:
+            outputReportText(report);
+            break;
+    }
+}
+
+/*
+ * Write the report as HTML (--html) to the file given, or stdout for -.
+ */
+function outputHTML(report) {
+    var html = htmlReport(report, {title: 'evttool report: '
+        + cmdline_opts._args.join(' ')});
+
+    if (cmdline_opts.html === '-') {
+        process.stdout.write(html);
+        return;
+    }
+
+    try {
+        fs.writeFileSync(cmdline_opts.html, html);
+    } catch (e) {
+        console.error('evttool: error: %s', e.message);
+        process.exit(1);
+    }
+}
+
+function outputCriticalPath() {
+    var req_id = cmdline_opts.critical_path;
+    var root;
+    var segments = [];
+    var steps = [];
+    var total;
+    var tree;
+
+    if (!analyzer.requests.hasOwnProperty(req_id)) {
+        console.error('ERROR: No events for req_id: ' + req_id + ' found');
+        return;
+    }
+
+    tree = buildSpanTree(analyzer.requests[req_id]);
+    root = tree.roots[0];
+    total = root.elapsed;
+
+    criticalSegments(root, root.end, segments);
+    segments.reverse();
+
+    // One step per span on the path, outer spans before inner ones
+    segments.forEach(function (seg) {
+        if (seg.span.critical === undefined) {
+            seg.span.critical = 0;
+            steps.push(seg.span);
+        }
+        seg.span.critical += seg.end - seg.start;
+    });
+    steps.sort(function (a, b) {
+        if (a.start !== b.start) {
+            return (a.start - b.start);
+        }
+        return (a.depth - b.depth);
+    });
+
+    function pct(ms) {
+        return ((total > 0 ? Math.round(ms / total * 1000) / 10 : 0) + '%');
+    }
+
+    console.log('(all times are in milliseconds)');
+    console.log('REQ_ID: ' + req_id);
+    console.log('TOTAL:  ' + total + ' (' + trimIdSeq(root.id) + ')\n');
+
+    console.log('=== Critical Path ===');
+    console.log(fitTo('START', 13, {dir: 'right'}) + ' ' + fitTo('ELAPSED', 8,
+        {dir: 'right'}) + ' ' + fitTo('SELF', 8, {dir: 'right'}) + ' '
+        + fitTo('SHARE', 7, {dir: 'right'}) + '  EVENT');
+    steps.forEach(function (span) {
+        console.log(fitTo('+' + (span.start - root.start), 13, {dir: 'right'})
+            + ' ' + fitTo(span.elapsed, 8, {dir: 'right'}) + ' '
+            + fitTo(span.critical, 8, {dir: 'right'}) + ' '
+            + fitTo(pct(span.critical), 7, {dir: 'right'}) + '  '
+            + filler(' ', (span.depth - root.depth) * 2) + span.id
+            + ' [' + span.hostname + ']');
+    });
+
+    console.log('\n=== Gaps (no sub-event running) ===');
+    spanGaps(root).forEach(function (gap) {
+        console.log(fitTo('+' + (gap.start - root.start), 13, {dir: 'right'})
+            + ' ' + fitTo(gap.end - gap.start, 8, {dir: 'right'}) + ' '
+            + filler(' ', 8) + ' '
+            + fitTo(pct(gap.end - gap.start), 7, {dir: 'right'}) + '  until +'
+            + (gap.end - root.start));
+    });
+}
+
+/*
+ * Format a change from 'base' to 'cand' (either may be null if missing),
+ * followed by 'change' (a number) and 'suffix'.
+ */
+function fmtChange(base, cand, change, suffix) {
+    if (base === null) {
+        return ('(new) ' + cand);
+    }
+    if (cand === null) {
+        return (base + ' (gone)');
+    }
+    return (base + ' -> ' + cand + ' ('
+        + (change === Infinity ? '+inf'
+        : (change >= 0 ? '+' : '') + change) + (suffix || '') + ')');
+}
+
+function outputCompareText(rows) {
+    console.log(fitTo('OPERATION / EVENT', 40) + '  ' + fitTo('COUNT', 20)
+        + '  ' + fitTo('P50', 24) + '  ' + fitTo('P99', 24) + '  '
+        + fitTo('P-VALUE', 8));
+
+    rows.forEach(function (r) {
+        var b = r.baseline;
+        var c = r.candidate;
+        var flag = '';
+        var name = (r.event === null ? r.operation : '   ' + r.event);
+
+        if (r.event === null && rows[0] !== r) {
+            console.log('');
+        }
+        if (r.regression) {
+            flag = 'REGRESSION';
+        } else if (r.significant) {
+            flag = 'slower';
+        }
+
+        console.log(fitTo(name, 40, {trunc: false}) + '  '
+            + fitTo(fmtChange(b && b.count, c && c.count, r.count_change),
+                20) + '  '
+            + fitTo(fmtChange(b && b.p50, c && c.p50, r.p50_change_pct, '%'),
+                24) + '  '
+            + fitTo(fmtChange(b && b.p99, c && c.p99, r.p99_change_pct, '%'),
+                24) + '  '
+            + fitTo(r.p_value === null ? '-' : r.p_value.toFixed(4), 8)
+            + (flag ? '  ' + stylize(flag, 'red') : ''));
+    });
+}
+
+function outputCompareCSV(rows) {
+    var columns = ['operation', 'event', 'baseline_count', 'candidate_count',
+        'baseline_p50', 'candidate_p50', 'p50_change_pct', 'baseline_p99',
+        'candidate_p99', 'p99_change_pct', 'p_value', 'significant',
+        'regression'];
+
+    console.log(columns.join(','));
+    rows.forEach(function (r) {
+        var b = r.baseline || {};
+        var c = r.candidate || {};
+
+        console.log([r.operation, r.event, b.count, c.count, b.p50, c.p50,
+            r.p50_change_pct, b.p99, c.p99, r.p99_change_pct, r.p_value,
+            r.significant, r.regression].map(csvField).join(','));
+    });
+}
+
+/*
+ * Output the comparison of the 'baseline' and 'candidate' reports. Returns
+ * the number of regressions.
+ */
+function outputCompare(baseline, candidate) {
+    var regressions;
+    var rows = compareReports(baseline, candidate, cmdline_opts.threshold);
+
+    regressions = rows.filter(function (r) {
+        return (r.regression);
+    }).length;
+
+    switch (cmdline_opts.output) {
+        case 'json':
+            console.log(JSON.stringify({
+                alpha: COMPARE_ALPHA,
+                threshold_pct: cmdline_opts.threshold,
+                regressions: regressions,
+                comparisons: rows
+            }, null, 2));
+            break;
+        case 'csv':
+            outputCompareCSV(rows);
+            break;
+        default:
+            outputCompareText(rows);
+            if (regressions > 0) {
+                console.log('\n%d regression(s) past %d%%', regressions,
+                    cmdline_opts.threshold);
             }
-            return (true);
+            break;
+    }
+
+    return (regressions);
+}
+
+/*
+ * Returns 'values' as a line of bars from lowest to highest, scaled to 'max',
+ * with a space for null or 0.
+ */
+function sparkline(values, max) {
+    return (values.map(function (value) {
+        if (!value) {
+            return (' ');
+        }
+        return (SPARK_CHARS.charAt(Math.min(SPARK_CHARS.length - 1,
+            Math.floor(value / max * SPARK_CHARS.length))));
+    }).join(''));
+}
+
+function outputSeriesText(summary) {
+    var metrics = [
+        ['starts', 'starts', ''],
+        ['completions', 'completions', ''],
+        ['concurrency', 'in flight', ''],
+        ['p50', 'p50', 'ms'],
+        ['p99', 'p99', 'ms']
+    ];
+
+    summary.operations.forEach(function (operation) {
+        var from;
+
+        console.log('\n=== ' + operation.id + ' (' + operation.count
+            + ' requests, ' + (summary.interval / 1000) + 's intervals) ===');
+
+        for (from = 0; from < operation.buckets.length;
+            from += SERIES_WIDTH) {
+
+            metrics.forEach(function (metric, idx) {
+                var max = 0;
+                var values;
+
+                values = operation.buckets.slice(from,
+                    from + SERIES_WIDTH).map(function (bucket) {
+                    max = Math.max(max, bucket[metric[0]] || 0);
+                    return (bucket[metric[0]]);
+                });
+
+                console.log(fitTo(idx === 0 ? shortTime(
+                    operation.buckets[from].time) : '', 12) + '  '
+                    + fitTo(metric[1], 11) + '  '
+                    + fitTo(sparkline(values, max), SERIES_WIDTH) + '  max '
+                    + max + metric[2]);
+            });
+        }
+    });
+}
+
+function outputSeriesCSV(summary) {
+    var columns = ['operation', 'time', 'starts', 'completions',
+        'concurrency'].concat(STATS_PERCENTILES.map(function (pct) {
+        return ('p' + pct);
+    }));
+
+    console.log(columns.join(','));
+    summary.operations.forEach(function (operation) {
+        operation.buckets.forEach(function (bucket) {
+            console.log(columns.map(function (col) {
+                if (col === 'operation') {
+                    return (csvField(operation.id));
+                } else if (col === 'time') {
+                    return (new Date(bucket.time).toISOString());
+                }
+                return (csvField(bucket[col]));
+            }).join(','));
         });
+    });
+}
 
-        // Output the ENDs that we just removed
-        printme.sort(function (a, b) {
-            if (a.time === b.time) {
-                return (b.id.length - a.id.length);
+/*
+ * Output the time series (--series) of the requests added to 'series'.
+ */
+function outputSeries() {
+    var summary = seriesSummary(series);
+
+    switch (cmdline_opts.output) {
+        case 'json':
+            console.log(JSON.stringify(summary, null, 2));
+            break;
+        case 'csv':
+            outputSeriesCSV(summary);
+            break;
+        default:
+            outputSeriesText(summary);
+            break;
+    }
+}
+
+function outputTimeline() {
+    var entries = [];
+    var first_start;
+    var open = 0;
+    var order = 0;
+    var seen_starts = {};
+    var tree;
+
+    if (!analyzer.requests.hasOwnProperty(cmdline_opts.timeline)) {
+        console.error('ERROR: No events for req_id: ' + cmdline_opts.timeline + ' found');
+        return;
+    }
+
+    tree = buildSpanTree(analyzer.requests[cmdline_opts.timeline]);
+    first_start = tree.spans[0].start;
+
+    if (!cmdline_opts.expand_loops) {
+        findLoops(tree).forEach(function (loop) {
+            walkSpans(loop.spans, function (span) {
+                span.loop = loop;
+            });
+        });
+    }
+
+    // One START and one END entry per span, indented by its depth in the tree.
+    // A loop (see findLoops()) is shown as one span in place of the spans in
+    // it.
+    walkSpans(tree.roots, function (span) {
+        var loop = span.loop;
+
+        if (loop) {
+            if (span !== loop.spans[0]) {
+                return;
             }
+            span = {
+                depth: span.depth,
+                elapsed: loop.end - loop.start,
+                end: loop.end,
+                id: loop.id + ' \u00d7' + loop.repeats,
+                loop: loop,
+                start: loop.start
+            };
+        }
+        span.order = order++;
+        entries.push({time: span.start, is_start: true, span: span});
+        entries.push({time: span.end, is_start: false, span: span});
+    });
+
+    // In time order. At the same time, ENDs come before STARTs, inner ENDs
+    // before outer ones and outer STARTs before inner ones.
+    entries.sort(function (a, b) {
+        if (a.time !== b.time) {
             return (a.time - b.time);
-        }).forEach(printEnd);
+        }
+        if (a.is_start !== b.is_start) {
+            return (a.is_start ? 1 : -1);
+        }
+        if (a.is_start) {
+            return (a.span.order - b.span.order);
+        }
+        return (b.span.order - a.span.order);
+    });
+
+    function printEnd(span) {
+        var prefix = '';
+
+        if (open > 0) {
+            prefix = fitTo('+' + (span.end - first_start).toString(), 13, {dir: 'right'});
+        } else {
+            prefix = span.end.toString();
+        }
+
+        console.log(prefix + ' (' + fitTo(span.elapsed + ')', 7) + filler(' ', span.depth * 4)
+            + 'END   ' + span.id + span.suffix);
+    }
+
+    function printStart(span) {
+        var prefix = '';
+
+        if (span.start === first_start && span.order === tree.spans[0].order) {
+            prefix = span.start.toString();
+        } else {
+            prefix = fitTo('+' + (span.start - first_start).toString(), 13, {dir: 'right'});
+        }
+
+        if (span.loop) {
+            console.log(prefix + ' ' + filler(' ', (span.depth * 4) + 7)
+                + ' LOOP  ' + span.id + ', total '
+                + fmtDuration(span.loop.total) + ', avg '
+                + fmtDuration(span.loop.avg) + ', gaps avg '
+                + fmtDuration(span.loop.gap_avg));
+            return;
+        }
+
+        console.log(prefix + ' ' + filler(' ', (span.depth * 4) + 7)
+            + ' START ' + span.id + span.suffix);
+
+    }
+
+    console.log('(all times are in milliseconds)');
+    console.log('REQ_ID: ' + cmdline_opts.timeline + '\n');
+    entries.forEach(function (entry) {
+        var span = entry.span;
+
+        if (!entry.is_start) {
+            open--;
+            printEnd(span);
+            return;
+        }
+
+        if (seen_starts.hasOwnProperty(span.id)) {
+            seen_starts[span.id]++;
+            span.suffix = ' [' + seen_starts[span.id] + ']';
+        } else {
+            seen_starts[span.id] = 0;
+            span.suffix = '';
+        }
+
+        open++;
+        printStart(span);
+    });
+}
+
+/*
+ * Live mode (--live). Completed events are counted in one stats object per
+ * event id per second (of event time, so this works the same when replaying a
+ * log), and every --live seconds the last --window seconds' worth are merged
+ * and shown along with how many of each are in flight (begun but not ended).
+ */
+function liveOpen() {
+    live = {
+        crossed: {},
+        ids: {},
+        latest: 0,
+        timer: setInterval(liveRender, cmdline_opts.live * 1000)
+    };
+}
+
+function liveSpan(evt) {
+    var id = trimIdSeq(evt.id);
+    var sec = Math.floor(evt.time / 1000);
+
+    if (cmdline_opts.events && !id.match(cmdline_opts.events)) {
+        return;
+    }
+
+    if (!live.ids.hasOwnProperty(id)) {
+        live.ids[id] = {};
+    }
+    if (!live.ids[id].hasOwnProperty(sec)) {
+        live.ids[id][sec] = createStats();
+    }
+    statsAdd(live.ids[id][sec], evt.elapsed);
+
+    if (sec > live.latest) {
+        live.latest = sec;
+    }
+}
+
+function liveRender() {
+    var inflight = {};
+    var oldest = live.latest - cmdline_opts.window;
+    var rows = [];
+    var lines;
+
+    Object.keys(analyzer.open).forEach(function (sig) {
+        var id = analyzer.open[sig].id;
+
+        if (cmdline_opts.events && !id.match(cmdline_opts.events)) {
+            return;
+        }
+        inflight[id] = (inflight[id] || 0) + 1;
+    });
+
+    Object.keys(live.ids).forEach(function (id) {
+        var stats = createStats();
+        var summary;
+
+        Object.keys(live.ids[id]).forEach(function (sec) {
+            if (Number(sec) <= oldest) {
+                delete live.ids[id][sec];
+                return;
+            }
+            statsMerge(stats, live.ids[id][sec]);
+        });
+
+        summary = statsSummary(stats);
+        summary.id = id;
+        summary.inflight = inflight[id] || 0;
+        delete inflight[id];
+        rows.push(summary);
+    });
+
+    // things that have begun but not ended in the window
+    Object.keys(inflight).forEach(function (id) {
+        rows.push({id: id, count: 0, inflight: inflight[id]});
+    });
+
+    rows.sort(function (a, b) {
+        if (b.count !== a.count) {
+            return (b.count - a.count);
+        }
+        return (b.inflight - a.inflight);
+    });
+
+    if (process.stdout.isTTY) {
+        // clear the screen and leave room for the headers
+        process.stdout.write('\u001b[H\u001b[2J');
+        rows = rows.slice(0, Math.max((process.stdout.rows || 24) - 4, 1));
+    }
+
+    lines = [
+        'evttool -- ' + (live.latest > 0
+            ? new Date(live.latest * 1000).toISOString() : 'no events yet')
+            + ' -- last ' + cmdline_opts.window + 's',
+        fitTo('EVENT', 40) + ' ' + fitTo('RATE/s', 8, {dir: 'right'}) + ' '
+            + fitTo('IN-FLIGHT', 9, {dir: 'right'}) + ' '
+            + fitTo('COUNT', 7, {dir: 'right'}) + ' '
+            + fitTo('P50', 8, {dir: 'right'}) + ' '
+            + fitTo('P99', 8, {dir: 'right'})
+    ];
+
+    rows.forEach(function (row) {
+        var line;
+        var slow = false;
+
+        if (cmdline_opts.time && row.count > 0) {
+            slow = (row.p99 >= cmdline_opts.time);
+        }
+
+        line = fitTo(row.id, 40) + ' '
+            + fitTo((Math.round(row.count / cmdline_opts.window * 100) / 100),
+                8, {dir: 'right'}) + ' '
+            + fitTo(row.inflight, 9, {dir: 'right'}) + ' '
+            + fitTo(row.count, 7, {dir: 'right'}) + ' '
+            + fitTo(row.count > 0 ? row.p50 : '-', 8, {dir: 'right'}) + ' '
+            + fitTo(row.count > 0 ? row.p99 : '-', 8, {dir: 'right'});
+
+        // Highlight what's over --time, more so if it only just got there
+        if (slow && !live.crossed[row.id]) {
+            line = stylize(stylize(line, 'red'), 'inverse');
+        } else if (slow) {
+            line = stylize(line, 'red');
+        }
+        live.crossed[row.id] = slow;
+
+        lines.push(line);
+    });
+
+    console.log(lines.join('\n'));
+}
+
+function liveClose() {
+    clearInterval(live.timer);
+    liveRender();
+}
+
+/*
+ * Browse mode (--browse). Once all the input is read, show a list of the
+ * requests, slowest first, and let the user filter it and open a request to see
+ * its events as a tree with a bar for when each one ran, collapsing and
+ * expanding the tree and moving on to the other requests of the same
+ * operation. This takes over the terminal: stdin for keys and stdout (in the
+ * alternate screen) for output.
+ */
+function browseOpen() {
+    browse = {
+        filter: '',
+        list: [],
+        prompt: null,
+        requests: [],
+        selected: 0,
+        sort: 'elapsed',
+        top: 0,
+        view: null
+    };
+
+    Object.keys(analyzer.requests).forEach(function (req_id) {
+        var end = 0;
+        var root;
+        var tree = buildSpanTree(analyzer.requests[req_id]);
+
+        root = tree.roots[0];
+        if (cmdline_opts.events && !trimIdSeq(root.id).match(
+            cmdline_opts.events)) {
+
+            return;
+        }
+        if (cmdline_opts.time && root.elapsed < cmdline_opts.time) {
+            return;
+        }
+
+        tree.spans.forEach(function (span) {
+            end = Math.max(end, span.end);
+        });
+        browse.requests.push({
+            elapsed: root.elapsed,
+            end: end,
+            hostname: root.hostname,
+            id: trimIdSeq(root.id),
+            req_id: req_id,
+            spans: tree.spans.length,
+            start: root.start
+        });
+    });
+
+    if (browse.requests.length === 0) {
+        console.error('evttool: no requests to browse');
+        process.exit(1);
+    }
+    browseList();
+
+    process.stdin.setRawMode(true);
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', browseKey);
+    process.stdin.resume();
+    process.stdout.on('resize', browseRender);
+
+    // alternate screen, hide the cursor
+    process.stdout.write('\u001b[?1049h\u001b[?25l');
+    browseRender();
+}
+
+function browseClose() {
+    process.stdout.write('\u001b[?25h\u001b[?1049l');
+    process.stdin.setRawMode(false);
+    process.stdin.pause();
+    process.stdin.removeListener('data', browseKey);
+    process.stdout.removeListener('resize', browseRender);
+}
+
+/*
+ * Rebuild the list of requests shown from the --browse filter and sort order.
+ * The filter is matched (ignoring case) against the operation, req_id and
+ * hostname of each request.
+ */
+function browseList() {
+    var filter = browse.filter.toLowerCase();
+
+    browse.list = browse.requests.filter(function (req) {
+        return (filter.length === 0
+            || (req.id + ' ' + req.req_id + ' ' + req.hostname).toLowerCase()
+                .indexOf(filter) !== -1);
+    });
+
+    browse.list.sort(function (a, b) {
+        if (browse.sort === 'start' || a.elapsed === b.elapsed) {
+            return (a.start - b.start);
+        }
+        return (b.elapsed - a.elapsed);
+    });
+
+    browse.selected = 0;
+    browse.top = 0;
+}
+
+/*
+ * Open the request 'req' (one of browse.requests) with its tree fully
+ * expanded.
+ */
+function browseView(req) {
+    var tree = buildSpanTree(analyzer.requests[req.req_id]);
+
+    browse.view = {
+        req: req,
+        rows: [],
+        selected: 0,
+        top: 0,
+        tree: tree
+    };
+    browseViewRows();
+}
+
+/*
+ * The spans shown in the open request: all of them, in tree order, except the
+ * ones under a collapsed span.
+ */
+function browseViewRows() {
+    var view = browse.view;
+
+    function add(spans) {
+        spans.forEach(function (span) {
+            view.rows.push(span);
+            if (!span.collapsed) {
+                add(span.children);
+            }
+        });
+    }
+
+    view.rows = [];
+    add(view.tree.roots);
+    view.selected = Math.min(view.selected, view.rows.length - 1);
+}
+
+/*
+ * Open the request 'dir' (1 or -1) away from the open one among those of the
+ * same operation, in the order of the list.
+ */
+function browseSibling(dir) {
+    var idx;
+    var siblings;
+
+    siblings = browse.list.filter(function (req) {
+        return (req.id === browse.view.req.id);
+    });
+    idx = siblings.indexOf(browse.view.req) + dir;
+    if (idx >= 0 && idx < siblings.length) {
+        browse.selected = browse.list.indexOf(siblings[idx]);
+        browseView(siblings[idx]);
+    }
+}
+
+/*
+ * Keep 'state.selected' within 'count' rows and scrolled into the 'height'
+ * rows on screen.
+ */
+function browseScroll(state, count, height) {
+    state.selected = Math.max(0, Math.min(state.selected, count - 1));
+    if (state.selected < state.top) {
+        state.top = state.selected;
+    } else if (state.selected >= state.top + height) {
+        state.top = state.selected - height + 1;
+    }
+}
+
+function browseListLines(width, height) {
+    var lines = [];
+    var shown;
+
+    lines.push('evttool -- ' + browse.list.length + ' of '
+        + browse.requests.length + ' requests, by '
+        + (browse.sort === 'start' ? 'start time' : 'elapsed time')
+        + (browse.filter ? ' -- matching "' + browse.filter + '"' : ''));
+    lines.push(stylize(fitTo(fitTo('ELAPSED', 8, {dir: 'right'}) + ' '
+        + fitTo('START', 12) + ' ' + fitTo('SPANS', 5, {dir: 'right'}) + '  '
+        + fitTo('REQ_ID', 36) + '  OPERATION', width), 'bold'));
+
+    browseScroll(browse, browse.list.length, height);
+    shown = browse.list.slice(browse.top, browse.top + height);
+    shown.forEach(function (req, idx) {
+        var line = fitTo(fitTo(req.elapsed, 8, {dir: 'right'}) + ' '
+            + shortTime(req.start) + ' '
+            + fitTo(req.spans, 5, {dir: 'right'}) + '  '
+            + fitTo(req.req_id, 36) + '  ' + req.id, width);
+
+        if (browse.top + idx === browse.selected) {
+            line = stylize(line, 'inverse');
+        }
+        lines.push(line);
+    });
+
+    return (lines);
+}
+
+function browseViewLines(width, height) {
+    var barWidth;
+    var evtWidth;
+    var lines = [];
+    var req = browse.view.req;
+    var siblings;
+    var total = Math.max(req.end - req.start, 1);
+    var view = browse.view;
+
+    siblings = browse.list.filter(function (r) {
+        return (r.id === req.id);
+    });
+
+    // START ELAPSED HOST EVENT BAR, with what's left split between the last
+    // two
+    evtWidth = Math.max(Math.floor((width - 29) * 0.55), 10);
+    barWidth = Math.max(width - 29 - evtWidth, 0);
+
+    lines.push('evttool -- ' + req.req_id + ' -- ' + req.id + ' -- '
+        + req.elapsed + 'ms -- ' + (siblings.indexOf(req) + 1) + ' of '
+        + siblings.length);
+    lines.push(stylize(fitTo(fitTo('START', 8, {dir: 'right'}) + ' '
+        + fitTo('ELAPSED', 8, {dir: 'right'}) + ' ' + fitTo('HOST', 8) + '  '
+        + fitTo('EVENT', evtWidth) + ' ' + shortTime(req.start), width),
+        'bold'));
+
+    browseScroll(view, view.rows.length, height);
+    view.rows.slice(view.top, view.top + height).forEach(function (span, idx) {
+        var from = Math.floor((span.start - req.start) / total * barWidth);
+        var line;
+        var marker = '  ';
+        var to = Math.ceil((span.end - req.start) / total * barWidth);
+
+        if (span.children.length > 0) {
+            marker = (span.collapsed ? '+ ' : '- ');
+        }
+        to = Math.min(Math.max(to, from + 1), barWidth);
+
+        line = fitTo('+' + (span.start - req.start), 8, {dir: 'right'}) + ' '
+            + fitTo(span.elapsed, 8, {dir: 'right'}) + ' '
+            + fitTo(shortHost(span.hostname), 8) + '  '
+            + fitTo(filler(' ', span.depth * 2) + marker + span.id, evtWidth)
+            + ' ';
+
+        if (view.top + idx === view.selected) {
+            lines.push(stylize(fitTo(line + filler(' ', from)
+                + filler('=', to - from), width), 'inverse'));
+        } else {
+            lines.push(line + filler(' ', from) + stylize(filler('=',
+                to - from), span.late ? 'yellow' : 'cyan'));
+        }
+    });
+
+    return (lines);
+}
+
+function browseRender() {
+    var footer;
+    var height = (process.stdout.rows || 24) - 3;
+    var lines;
+    var width = (process.stdout.columns || 80);
+
+    if (browse.prompt !== null) {
+        footer = '/' + browse.prompt;
+    } else if (browse.view) {
+        footer = 'up/down: move  enter/left/right: collapse/expand  n/p: '
+            + 'next/previous ' + browse.view.req.id + '  q: back';
+    } else {
+        footer = 'up/down: move  enter: open  /: filter  s: sort by '
+            + (browse.sort === 'start' ? 'elapsed' : 'start') + '  q: quit';
+    }
+
+    if (browse.view) {
+        lines = browseViewLines(width, height);
+    } else {
+        lines = browseListLines(width, height);
+    }
+    while (lines.length < height + 2) {
+        lines.push('');
+    }
+    lines.push(stylize(fitTo(footer, width), 'grey'));
+
+    // home, clear the screen
+    process.stdout.write('\u001b[H\u001b[2J' + lines.join('\n'));
+}
+
+/*
+ * Handle a key (or escape sequence) read from the terminal.
+ */
+function browseKey(key) {
+    var height = (process.stdout.rows || 24) - 3;
+    var span;
+    var state = (browse.view || browse);
+
+    if (key === '\u0003') {
+        // ^C
+        browseClose();
+        return;
+    }
+
+    if (browse.prompt !== null) {
+        if (key === '\r') {
+            browse.filter = browse.prompt;
+            browse.prompt = null;
+            browseList();
+        } else if (key === '\u001b') {
+            browse.prompt = null;
+        } else if (key === '\u007f' || key === '\b') {
+            browse.prompt = browse.prompt.slice(0, -1);
+        } else if (key >= ' ' && key.charAt(0) !== '\u001b') {
+            browse.prompt += key;
+        }
+        browseRender();
+        return;
+    }
+
+    switch (key) {
+        case 'k':
+        case '\u001b[A':
+            state.selected--;
+            break;
+        case 'j':
+        case '\u001b[B':
+            state.selected++;
+            break;
+        case '\u001b[5~':
+            state.selected -= height;
+            break;
+        case ' ':
+        case '\u001b[6~':
+            state.selected += height;
+            break;
+        case 'g':
+        case '\u001b[H':
+            state.selected = 0;
+            break;
+        case 'G':
+        case '\u001b[F':
+            state.selected = Infinity;
+            break;
+        case 'q':
+        case '\u001b':
+            if (!browse.view) {
+                browseClose();
+                return;
+            }
+            browse.view = null;
+            break;
+        default:
+            if (browse.view) {
+                span = browse.view.rows[browse.view.selected];
+                browseViewKey(key, span);
+            } else {
+                browseListKey(key);
+            }
+            break;
+    }
+
+    browseRender();
+}
+
+function browseListKey(key) {
+    switch (key) {
+        case '\r':
+        case 'l':
+        case '\u001b[C':
+            if (browse.list.length > 0) {
+                browseView(browse.list[browse.selected]);
+            }
+            break;
+        case '/':
+            browse.prompt = browse.filter;
+            break;
+        case 's':
+            browse.sort = (browse.sort === 'start' ? 'elapsed' : 'start');
+            browseList();
+            break;
+        default:
+            break;
+    }
+}
+
+function browseViewKey(key, span) {
+    var view = browse.view;
+
+    switch (key) {
+        case '\r':
+            span.collapsed = (span.children.length > 0 && !span.collapsed);
+            break;
+        case 'l':
+        case '\u001b[C':
+            span.collapsed = false;
+            break;
+        case 'h':
+        case '\u001b[D':
+            if (span.children.length > 0 && !span.collapsed) {
+                span.collapsed = true;
+            } else if (span.parent) {
+                // collapse the parent instead, and move there
+                span.parent.collapsed = true;
+                browseViewRows();
+                view.selected = view.rows.indexOf(span.parent);
+            }
+            break;
+        case 'n':
+            browseSibling(1);
+            return;
+        case 'p':
+            browseSibling(-1);
+            return;
+        default:
+            return;
+    }
+
+    browseViewRows();
+}
+
+/*
+ * Chrome Trace Event output (--trace). See "Trace Event Format":
+ *
+ * https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU
+ *
+ * Each hostname becomes a process and each pid (and top-level stack) on that
+ * host a thread (see traceLane()). Once all input is read, every completed
+ * span is written as a complete ('X') event, request by request (earliest
+ * first) from each one's span tree.
+ */
+function traceOpen(file) {
+    trace = {
+        count: 0,
+        lanes: {},
+        pids: {},
+        stream: (file === '-' ? process.stdout : fs.createWriteStream(file)),
+        tids: {},
+        written: (file === '-')
+    };
+
+    trace.stream.on('finish', function () {
+        trace.written = true;
+    });
+
+    trace.stream.on('error', function (err) {
+        if (err.code === 'EPIPE') {
+            // eg. piped to head(1)
+            process.exit(0);
+        }
+        console.error('evttool: error: writing %s: %s', file, err.message);
+        process.exit(1);
+    });
+
+    trace.stream.write('{"displayTimeUnit": "ms", "traceEvents": [\n');
+}
+
+function traceWrite(record) {
+    trace.stream.write((trace.count > 0 ? ',\n' : '') + JSON.stringify(record));
+    trace.count++;
+}
+
+/*
+ * Slices on one thread must nest properly, but concurrent requests handled by
+ * the same process overlap. So each thread is split into as many lanes (each
+ * its own tid) as needed for the spans on a lane to either nest or not
+ * overlap at all. Requests are placed earliest first and none of their spans
+ * start before 'since' (the start of the request being placed), so spans that
+ * ended by then can't overlap anything still to come and are dropped.
+ */
+function traceLane(lanes, start, end, since) {
+    var idx;
+
+    function fits(span) {
+        return (end <= span.start || start >= span.end
+            || (start >= span.start && end <= span.end)
+            || (start <= span.start && end >= span.end));
+    }
+
+    for (idx = 0; idx < lanes.length; idx++) {
+        lanes[idx] = lanes[idx].filter(function (span) {
+            return (span.end > since);
+        });
+        if (lanes[idx].every(fits)) {
+            break;
+        }
+    }
+
+    if (idx === lanes.length) {
+        lanes.push([]);
+    }
+    lanes[idx].push({start: start, end: end});
+
+    return (idx);
+}
+
+/*
+ * Write the spans of 'requests' (by req_id, as in analyzer.requests) to the
+ * trace.
+ */
+function traceRequests(requests) {
+    var starts = {};
+    var req_ids = Object.keys(requests);
+
+    req_ids.forEach(function (req_id) {
+        starts[req_id] = requests[req_id].reduce(function (min, span) {
+            return (Math.min(min, span.start));
+        }, Infinity);
+    });
+    req_ids.sort(function (a, b) {
+        return (starts[a] - starts[b]);
+    });
+
+    req_ids.forEach(function (req_id) {
+        buildSpanTree(requests[req_id]).spans.forEach(function (span) {
+            traceSpan(span, starts[req_id]);
+        });
+    });
+}
+
+function traceSpan(span, since) {
+    var lane;
+    var pid;
+    var thread;
+    var tid;
+
+    if (!trace.pids.hasOwnProperty(span.hostname)) {
+        pid = Object.keys(trace.pids).length + 1;
+        trace.pids[span.hostname] = pid;
+        traceWrite({
+            name: 'process_name',
+            ph: 'M',
+            pid: pid,
+            args: {name: span.hostname}
+        });
+    }
+    pid = trace.pids[span.hostname];
+
+    thread = ((span.pid !== undefined ? 'pid ' + span.pid : '')
+        + (span.stack ? ' ' + span.stack.split('.')[0] : '')).trim();
+    if (!trace.lanes.hasOwnProperty(pid + ':' + thread)) {
+        trace.lanes[pid + ':' + thread] = [];
+    }
+    lane = traceLane(trace.lanes[pid + ':' + thread], span.start, span.end,
+        since);
+
+    if (!trace.tids.hasOwnProperty(pid + ':' + thread + ':' + lane)) {
+        tid = Object.keys(trace.tids).length + 1;
+        trace.tids[pid + ':' + thread + ':' + lane] = tid;
+        traceWrite({
+            name: 'thread_name',
+            ph: 'M',
+            pid: pid,
+            tid: tid,
+            args: {
+                name: (thread || span.hostname)
+                    + (lane > 0 ? ' #' + (lane + 1) : '')
+            }
+        });
+    }
+    tid = trace.tids[pid + ':' + thread + ':' + lane];
+
+    traceWrite({
+        name: span.id,
+        cat: span.id.split('.')[0],
+        ph: 'X',
+        ts: span.start * 1000,
+        dur: span.elapsed * 1000,
+        pid: pid,
+        tid: tid,
+        args: {
+            req_id: span.req_id,
+            hostname: span.hostname
+        }
+    });
+}
+
+function traceClose() {
+    trace.stream.write('\n]}\n');
+    if (trace.stream !== process.stdout) {
+        trace.stream.end();
+    }
+}
+
+/*
+ * Call callback() once the trace file has been written (after traceClose()),
+ * so that exiting doesn't cut it short.
+ */
+function traceWait(callback) {
+    if (!trace || trace.written) {
+        callback();
+        return;
+    }
+    trace.stream.on('finish', callback);
+}
+
+/*
+ * OpenTelemetry and Zipkin span export (--otlp, --zipkin).
+ *
+ * Spans are exported once all input is read, so that each one's parent is
+ * known from the request's span tree (see buildSpanTree()). IDs are derived
+ * from the data so the same capture always exports the same spans: the trace
+ * ID is the req_id (or a hash of it when it's not a UUID) and the span ID is a
+ * hash of the span's signature (see evtSig()) and start time.
+ *
+ * Files get OTLP as one ExportTraceServiceRequest per line (like the
+ * collector's file exporter) and Zipkin as a single JSON array. URLs are sent
+ * one POST per SPAN_BATCH_SIZE spans.
+ */
+function spansOpen(format, dest) {
+    spanExport = {
+        count: 0,
+        dest: dest,
+        format: format,
+        stream: null,
+        url: null
+    };
+
+    if (dest.match(/^https?:\/\//)) {
+        spanExport.url = url.parse(dest);
+        return;
+    }
+
+    spanExport.stream = (dest === '-' ? process.stdout
+        : fs.createWriteStream(dest));
+    spanExport.stream.on('error', function (err) {
+        if (err.code === 'EPIPE') {
+            process.exit(0);
+        }
+        console.error('evttool: error: writing %s: %s', dest, err.message);
+        process.exit(1);
+    });
+
+    if (format === 'zipkin') {
+        spanExport.stream.write('[\n');
+    }
+}
+
+function hashHex(str, len) {
+    return (crypto.createHash('sha1').update(str).digest('hex').slice(0, len));
+}
+
+function traceId(req_id) {
+    if (isUUID(req_id)) {
+        return (req_id.replace(/-/g, ''));
+    }
+    return (hashHex(req_id, 32));
+}
+
+/*
+ * Returns the spans for one request, each with the fields common to both
+ * export formats.
+ */
+function requestSpans(req_id) {
+    var spans = [];
+    var tree = buildSpanTree(analyzer.requests[req_id]);
+
+    walkSpans(tree.roots, function (span) {
+        span.export_id = hashHex(span.sig + ':' + span.start, 16);
+        spans.push({
+            end: span.end,
+            hostname: span.hostname,
+            id: span.export_id,
+            name: span.id,
+            parent_id: (span.parent ? span.parent.export_id : undefined),
+            req_id: req_id,
+            service: span.id.split('.')[0],
+            start: span.start,
+            trace_id: traceId(req_id)
+        });
+    });
+
+    return (spans);
+}
+
+function otlpAttr(key, value) {
+    return ({key: key, value: {stringValue: String(value)}});
+}
+
+/*
+ * Build an OTLP ExportTraceServiceRequest with one resource per
+ * service/hostname. Times are in ns which won't fit in a double, so they're
+ * built as strings (which OTLP/JSON allows).
+ */
+function otlpRequest(spans) {
+    var resources = {};
+
+    spans.forEach(function (span) {
+        var key = span.service + ':' + span.hostname;
+
+        if (!resources.hasOwnProperty(key)) {
+            resources[key] = {
+                resource: {
+                    attributes: [
+                        otlpAttr('service.name', span.service),
+                        otlpAttr('host.name', span.hostname)
+                    ]
+                },
+                scopeSpans: [ {
+                    scope: {name: 'evttool'},
+                    spans: []
+                } ]
+            };
+        }
+        resources[key].scopeSpans[0].spans.push({
+            traceId: span.trace_id,
+            spanId: span.id,
+            parentSpanId: span.parent_id,
+            name: span.name,
+            kind: 1, // SPAN_KIND_INTERNAL
+            startTimeUnixNano: span.start + '000000',
+            endTimeUnixNano: span.end + '000000',
+            attributes: [
+                otlpAttr('req_id', span.req_id)
+            ]
+        });
+    });
+
+    return ({
+        resourceSpans: Object.keys(resources).map(function (k) {
+            return (resources[k]);
+        })
+    });
+}
+
+function zipkinSpans(spans) {
+    return (spans.map(function (span) {
+        return ({
+            traceId: span.trace_id,
+            id: span.id,
+            parentId: span.parent_id,
+            name: span.name,
+            timestamp: span.start * 1000,
+            duration: (span.end - span.start) * 1000,
+            localEndpoint: {serviceName: span.service},
+            tags: {
+                hostname: span.hostname,
+                req_id: span.req_id
+            }
+        });
+    }));
+}
+
+function postJSON(dest, body, callback) {
+    var data = JSON.stringify(body);
+    var req;
+
+    req = (dest.protocol === 'https:' ? https : http).request({
+        hostname: dest.hostname,
+        port: dest.port,
+        path: dest.path,
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'content-length': Buffer.byteLength(data)
+        }
+    }, function (res) {
+        var resBody = '';
+
+        res.setEncoding('utf8');
+        res.on('data', function (chunk) {
+            resBody += chunk;
+        });
+        res.on('end', function () {
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+                callback(new Error('POST ' + dest.href + ' returned '
+                    + res.statusCode + ': ' + resBody.trim()));
+                return;
+            }
+            callback();
+        });
+    });
+
+    req.on('error', function (err) {
+        callback(new Error('POST ' + dest.href + ': ' + err.message));
+    });
+    req.end(data);
+}
+
+function spansWrite(spans, callback) {
+    var body;
+
+    body = (spanExport.format === 'zipkin' ? zipkinSpans(spans)
+        : otlpRequest(spans));
+
+    if (spanExport.url) {
+        postJSON(spanExport.url, body, callback);
+        return;
+    }
+
+    if (spanExport.format === 'zipkin') {
+        spanExport.stream.write(body.map(function (span, idx) {
+            return ((spanExport.count + idx > 0 ? ',\n' : '')
+                + JSON.stringify(span));
+        }).join(''));
+    } else {
+        spanExport.stream.write(JSON.stringify(body) + '\n');
+    }
+    spanExport.count += spans.length;
+
+    callback();
+}
+
+/*
+ * Export the spans of all requests, then call callback([err]).
+ */
+function exportSpans(callback) {
+    var idx = 0;
+    var req_ids = Object.keys(analyzer.requests);
+
+    function finish() {
+        if (spanExport.stream) {
+            if (spanExport.format === 'zipkin') {
+                spanExport.stream.write('\n]\n');
+            }
+            if (spanExport.stream !== process.stdout) {
+                // wait for it to be written, in case we exit right after
+                spanExport.stream.on('finish', function () {
+                    callback();
+                });
+                spanExport.stream.end();
+                return;
+            }
+        }
+        callback();
+    }
+
+    function nextBatch() {
+        var batch = [];
+
+        while (idx < req_ids.length && batch.length < SPAN_BATCH_SIZE) {
+            batch = batch.concat(requestSpans(req_ids[idx++]));
+        }
+
+        if (batch.length === 0) {
+            finish();
+            return;
+        }
+
+        spansWrite(batch, function (err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            nextBatch();
+        });
+    }
+
+    nextBatch();
+}
+
+/*
+ * Returns true if events should be written out as JSON as they're seen,
+ * which is what we do when no other kind of output was asked for.
+ */
+function wantRawOutput() {
+    return (!cmdline_opts.report && !cmdline_opts.html
+        && !cmdline_opts.timeline
+        && !cmdline_opts.critical_path && !cmdline_opts.live
+        && !cmdline_opts.trace && !spanExport && !cmdline_opts.compare
+        && !cmdline_opts.browse && !cmdline_opts.rules
+        && !cmdline_opts.series && !cmdline_opts.orphans
+        && !cmdline_opts.clocks);
+}
+
+/*
+ * Returns true if violations of the anomaly rules should be output as each
+ * request finishes, which is what --rules does without a report to put them
+ * in.
+ */
+function wantRuleStream() {
+    return (cmdline_opts.rules && !cmdline_opts.report && !cmdline_opts.html);
+}
 
-        if (seen_starts.hasOwnProperty(evt.id)) {
-            seen_starts[evt.id]++;
-            evt.suffix = ' [' + seen_starts[evt.id] + ']';
-        } else {
-            seen_starts[evt.id] = 0;
-            evt.suffix = '';
+/*
+ * Count the violations of 'violations' that are severe enough to fail on (see
+ * --fail-on), and set them up for output.
+ */
+function countViolations(violations) {
+    violations.forEach(function (violation) {
+        violation.timeline = timelineCommand(violation.req_id);
+        if (severityAtLeast(violation.severity, cmdline_opts.fail_on)) {
+            ruleFailures++;
         }
+    });
+}
 
-        ends.push({
-            time: evt.start + evt.elapsed,
-            id: evt.id,
-            elapsed: evt.elapsed,
-            level: level,
-            suffix: evt.suffix
-        });
+function handleRequest(req_id, spans) {
+    var violations = checkRequest(cmdline_opts.rules, req_id,
+        buildSpanTree(spans));
 
-        printStart(evt);
-        level++;
+    countViolations(violations);
+    violations.forEach(function (violation) {
+        console.log(fmtViolation(violation));
     });
+}
 
-    while (ends.length > 0) {
-        evt = ends.pop();
-        level--;
-        printEnd(evt);
-    }
+/*
+ * Orphans (--orphans, --max-open-age): events that never got an end, ends
+ * that never had a begin and begins that were seen twice. The latter two are
+ * counted by the Analyzer as they're seen.
+ */
+
+/*
+ * Warn (once) about each event that has been open for more than
+ * --max-open-age ms as of 'now' (the time of the latest event seen).
+ */
+function checkOpenAge(now) {
+    Object.keys(analyzer.open).forEach(function (sig) {
+        var open = analyzer.open[sig];
+
+        if (open.warned || now - open.time <= cmdline_opts.max_open_age) {
+            return;
+        }
+        open.warned = true;
+        console.error('WARN: %s:%d: %s [%s] on %s still open after %dms',
+            open.file, open.line, open.id, open.req_id, open.hostname,
+            now - open.time);
+    });
 }
 
-function handleBegin(evt) {
-    var sig = evtSig(evt);
+/*
+ * Clock offsets (--clocks, --fix-clocks). Once all the requests are read, the
+ * offset of each host's clock is estimated from them (see lib/clocks.js) and
+ * with --fix-clocks, corrected in the spans kept, so what's output at the end
+ * (including --trace) uses the corrected times. Output while reading (-s) is
+ * not corrected.
+ */
+function checkClocks() {
+    var clocks;
+
+    if (!cmdline_opts.clocks && !cmdline_opts.fix_clocks) {
+        return (null);
+    }
+
+    clocks = estimateClocks(analyzer.requests);
+    if (cmdline_opts.fix_clocks) {
+        correctClocks(analyzer.requests, clocks);
+    }
 
-    if (openEvents[sig]) {
-        console.error('WARN: got begin twice without end: '
-            + JSON.stringify(evt));
+    return (clocks);
+}
+
+function outputClocks(clocks) {
+    console.log('\n=== Clock Offsets ===');
+    if (clocks.reference === null) {
+        console.log('(none)');
         return;
     }
+    console.log('(ms to add to each host\'s times to line up with '
+        + clocks.reference + (cmdline_opts.fix_clocks ? ', as corrected'
+        : '') + ')');
+    console.log(fitTo('OFFSET', 8, {dir: 'right'}) + ' '
+        + fitTo('MIN', 8, {dir: 'right'}) + ' '
+        + fitTo('MAX', 8, {dir: 'right'}) + ' '
+        + fitTo('PAIRS', 7, {dir: 'right'}) + ' '
+        + fitTo('BAD', 7, {dir: 'right'}) + '  ' + fitTo('HOSTNAME', 36)
+        + '  VIA');
+    clocks.hosts.forEach(function (host) {
+        var via = '';
+
+        if (host.hostname === clocks.reference) {
+            via = '(reference)';
+        } else if (host.via) {
+            via = host.via + (host.consistent ? ''
+                : ' (inconsistent, using the middle)');
+        } else {
+            via = '(no events shared with other hosts)';
+        }
+
+        console.log(fitTo(host.offset, 8, {dir: 'right'}) + ' '
+            + fitTo(host.via ? host.min : '-', 8, {dir: 'right'}) + ' '
+            + fitTo(host.via ? host.max : '-', 8, {dir: 'right'}) + ' '
+            + fitTo(host.via ? host.samples : '-', 7, {dir: 'right'}) + ' '
+            + fitTo(host.via ? host.violations : '-', 7, {dir: 'right'})
+            + '  ' + fitTo(host.hostname, 36, {trunc: false}) + '  ' + via);
+    });
+}
+
+function outputOrphans() {
+    var open = {};
+
+    function print(title, orphans, extra) {
+        var keys = Object.keys(orphans).sort(function (a, b) {
+            return (orphans[b].count - orphans[a].count);
+        });
+
+        console.log('\n=== ' + title + ' ===');
+        if (keys.length === 0) {
+            console.log('(none)');
+            return;
+        }
+        console.log(fitTo('COUNT', 7, {dir: 'right'}) + ' '
+            + (extra ? fitTo(extra, 11, {dir: 'right'}) + ' ' : '')
+            + fitTo('EVENT', 32) + ' ' + fitTo('HOSTNAME', 36) + ' '
+            + 'EXAMPLE');
+        keys.forEach(function (k) {
+            var o = orphans[k];
+
+            console.log(fitTo(o.count, 7, {dir: 'right'}) + ' '
+                + (extra ? fitTo(o.age, 11, {dir: 'right'}) + ' ' : '')
+                + fitTo(o.id, 32, {trunc: false}) + ' '
+                + fitTo(o.hostname, 36, {trunc: false}) + ' '
+                + o.req_id + ' (' + o.first + ')');
+        });
+    }
+
+    // Open events are grouped the same way, showing the oldest's age
+    Object.keys(analyzer.open).forEach(function (sig) {
+        var evt = analyzer.open[sig];
+        var key = evt.id + ' ' + evt.hostname;
+
+        if (!open.hasOwnProperty(key) || evt.time < open[key].time) {
+            open[key] = {
+                age: analyzer.latestTime - evt.time,
+                count: (open[key] ? open[key].count : 0),
+                first: evt.file + ':' + evt.line,
+                hostname: evt.hostname,
+                id: evt.id,
+                req_id: evt.req_id,
+                time: evt.time
+            };
+        }
+        open[key].count++;
+    });
 
-    // We only need to know start time and signature, then when we
-    // see an end with the same sigature, we know that has completed.
-    openEvents[sig] = evt.time;
+    print('Never Ended (open at end of input)', open, 'OLDEST AGE');
+    print('Ended Without Beginning', analyzer.orphanEnds);
+    print('Began Twice Without Ending', analyzer.duplicateBegins);
+}
 
+function handleBegin(evt) {
     if (cmdline_opts.time) {
         // we never output anything on 'begin' when --time is set because we
         // can't know how long something took until we see the end.
@@ -666,37 +2513,18 @@ function handleBegin(evt) {
 
     if (cmdline_opts.stream) {
         console.log(shortFmt(evt));
-    } else if (!cmdline_opts.report && !cmdline_opts.timeline) {
+    } else if (wantRawOutput()) {
         console.log(JSON.stringify(evt));
     }
 }
 
-function handleEnd(evt) {
-    var sig = evtSig(evt);
-    var start;
-
-    if (!openEvents[sig]) {
-        // ignore ends without beginnings!
+function handleSpan(span, evt) {
+    if (live) {
+        // Live mode only keeps windowed stats, not every event
+        liveSpan(evt);
         return;
     }
 
-    start = openEvents[sig];
-    evt.elapsed = evt.time - start;
-
-    // no longer open
-    delete openEvents[sig];
-
-    // add this (now closed) event to the list for this req_id
-    if (!requestEvents[evt.req_id]) {
-        requestEvents[evt.req_id] = [];
-    }
-    requestEvents[evt.req_id].push({
-        elapsed: evt.elapsed,
-        hostname: evt.hostname,
-        id: trimIdSeq(evt.id),
-        start: start
-    });
-
     if (cmdline_opts.time && evt.elapsed < cmdline_opts.time) {
         // If --time is set and this time was too short, we're not going to
         // output this line now.
@@ -711,31 +2539,70 @@ function handleEnd(evt) {
         } else if (evt.elapsed >= cmdline_opts.time) {
             console.log(shortFmt(evt, {prefix: '', start_plus: true}));
         }
-    } else if (!cmdline_opts.report && !cmdline_opts.timeline) {
+    } else if (wantRawOutput()) {
         console.log(JSON.stringify(evt));
     }
 }
 
 function handleEvent(evt) {
+    var only_req = (cmdline_opts.timeline || cmdline_opts.critical_path);
+
     if (!evt) {
         return;
     }
 
-    if (cmdline_opts.timeline && (evt.req_id != cmdline_opts.timeline)) {
-        // When we're doing a timeline we only care about the one req
+    // When we're doing a timeline (or critical path) we only care about the
+    // one req, unless we need them all to work out the clock offsets.
+    if (only_req && (evt.req_id != only_req) && !cmdline_opts.clocks
+        && !cmdline_opts.fix_clocks) {
+
         return;
     }
 
-    switch (evt.phase) {
-        case 'end':
-            handleEnd(evt);
-            break;
-        case 'begin':
-            handleBegin(evt);
-            break;
-        default:
-            throw new Error('Unhandled phase: ' + evt.phase);
+    if (cmdline_opts.max_open_age && evt.time > analyzer.latestTime
+        && evt.time - openCheckTime >= 1000) {
+
+        checkOpenAge(evt.time);
+        openCheckTime = evt.time;
+    }
+
+    analyzer.write(evt);
+}
+
+/*
+ * Returns a new Analyzer (for one capture) with its events hooked up to our
+ * output.
+ */
+function createAnalyzer(eventFilter) {
+    var a;
+    var opts = {filter: eventFilter, keep: !live};
+
+    if (cmdline_opts.bounded || wantRuleStream()) {
+        opts.grace = cmdline_opts.grace;
+        opts.maxRequests = cmdline_opts.max_requests;
+        opts.report = cmdline_opts;
+    }
+    a = new Analyzer(opts);
+
+    a.on('duplicate', function (evt, first) {
+        console.error('WARN: ' + evt.file + ':' + evt.line
+            + ': got begin twice without end (first begin at '
+            + first.file + ':' + first.line + '): ' + JSON.stringify(evt));
+    });
+    a.on('begin', handleBegin);
+    a.on('span', handleSpan);
+    if (wantRuleStream()) {
+        a.on('request', handleRequest);
+    }
+    // Otherwise the requests are added once everything's been read (and
+    // the clocks corrected)
+    if (series && cmdline_opts.bounded) {
+        a.on('request', function (req_id, spans) {
+            seriesAddRequest(series, buildSpanTree(spans));
+        });
     }
+
+    return (a);
 }
 
 function dumpHelp()
@@ -743,11 +2610,61 @@ function dumpHelp()
     var help;
 
     help = parser.help({includeEnv: true}).trimRight();
-    console.log('\nusage: evttool [OPTIONS]\n'
+    console.log('\nusage: evttool [OPTIONS] [FILE ...]\n'
         + 'options:\n' + help + '\n');
 }
 
+/*
+ * Read all the events from 'files' into the analyzer, end() it, then call
+ * callback([err]).
+ */
+function readEvents(files, callback) {
+    var readLines;
+
+    if (cmdline_opts.merge) {
+        readLines = function (line_cb, cb) {
+            mergeLines(files, cmdline_opts.skew, line_cb, cb);
+        };
+    } else {
+        readLines = function (line_cb, cb) {
+            forEachLine(files, line_cb, cb);
+        };
+    }
+
+    readLines(function (line, source) {
+        var evt;
+
+        try {
+            evt = evtParser.parse(line, source);
+        } catch (e) {
+            if (cmdline_opts.strict) {
+                console.error('evttool: error: %s', e.message);
+                process.exit(1);
+            }
+            evtParser.skip('unusable record', source, e.message);
+            return;
+        }
+        handleEvent(evt);
+    }, function (err) {
+        if (!err) {
+            analyzer.end();
+        }
+        callback(err);
+    });
+}
+
 function main() {
+    var baseline;
+    var baselineFiles;
+    var clocks;
+    var eventFilter;
+    var exitCode = 0;
+    var fields = [];
+    var files;
+    var readInput;
+    var regressions = 0;
+    var report;
+
     // parse the cmdline
     parser = dashdash.createParser({options: options});
     try {
@@ -757,11 +2674,18 @@ function main() {
         process.exit(1);
     }
 
-    if (cmdline_opts.help || cmdline_opts._args.length > 0) {
+    if (cmdline_opts.help) {
         dumpHelp();
         process.exit(0);
     }
 
+    try {
+        files = expandInputs(cmdline_opts._args);
+    } catch (e) {
+        console.error('evttool: error: %s', e.message);
+        process.exit(1);
+    }
+
     if (!process.stderr.isTTY || cmdline_opts['no-color']) {
         stylize = stylizeWithoutColor;
     }
@@ -772,40 +2696,376 @@ function main() {
         process.exit(1);
     }
 
-    forEachLine(function (line) {
-        var evt;
+    if (cmdline_opts.critical_path && (cmdline_opts.report
+        || cmdline_opts.stream || cmdline_opts.timeline)) {
 
-        if (line.length === 0) {
-            return;
+        console.error('evttool: cannot combine --critical-path and --report, '
+            + '--stream or --timeline');
+        dumpHelp();
+        process.exit(1);
+    }
+
+    if (['text', 'json', 'csv'].indexOf(cmdline_opts.output) === -1) {
+        console.error('evttool: unknown --output format: %s',
+            cmdline_opts.output);
+        dumpHelp();
+        process.exit(1);
+    }
+
+    if (cmdline_opts.output !== 'text' && !cmdline_opts.report
+        && !cmdline_opts.compare && !cmdline_opts.series) {
+
+        console.error('evttool: --output only applies to --report, '
+            + '--compare or --series');
+        dumpHelp();
+        process.exit(1);
+    }
+
+    if (cmdline_opts.compare && (cmdline_opts.report || cmdline_opts.timeline
+        || cmdline_opts.stream)) {
+
+        console.error('evttool: cannot combine --compare and --report, '
+            + '--timeline or --stream');
+        dumpHelp();
+        process.exit(1);
+    }
+
+    if (cmdline_opts.group_by && !cmdline_opts.report
+        && !cmdline_opts.compare && !cmdline_opts.html) {
+
+        console.error('evttool: --group-by only applies to --report, '
+            + '--compare or --html');
+        dumpHelp();
+        process.exit(1);
+    }
+
+    if (cmdline_opts.shapes && !cmdline_opts.report && !cmdline_opts.html) {
+        console.error('evttool: --shapes only applies to --report or --html');
+        dumpHelp();
+        process.exit(1);
+    }
+
+    if (cmdline_opts.shapes && ['set', 'sequence'].indexOf(
+        cmdline_opts.shapes) === -1) {
+
+        console.error('evttool: unknown --shapes kind: %s (set or sequence)',
+            cmdline_opts.shapes);
+        dumpHelp();
+        process.exit(1);
+    }
+
+    if (cmdline_opts.bounded && !cmdline_opts.report
+        && !cmdline_opts.compare && !cmdline_opts.html
+        && !cmdline_opts.series) {
+
+        console.error('evttool: --bounded only applies to --report, '
+            + '--compare, --html or --series');
+        dumpHelp();
+        process.exit(1);
+    }
+
+    if (cmdline_opts.html && (cmdline_opts.timeline
+        || cmdline_opts.critical_path || cmdline_opts.compare
+        || cmdline_opts.live || cmdline_opts.browse)) {
+
+        console.error('evttool: cannot combine --html and --timeline, '
+            + '--critical-path, --compare, --live or --browse');
+        dumpHelp();
+        process.exit(1);
+    }
+
+    if (cmdline_opts.series && (cmdline_opts.report || cmdline_opts.html
+        || cmdline_opts.compare || cmdline_opts.timeline
+        || cmdline_opts.critical_path || cmdline_opts.live
+        || cmdline_opts.browse || cmdline_opts.rules)) {
+
+        console.error('evttool: cannot combine --series and --report, '
+            + '--html, --compare, --timeline, --critical-path, --live, '
+            + '--browse or --rules');
+        dumpHelp();
+        process.exit(1);
+    }
+
+    if (cmdline_opts.series) {
+        series = createSeries({
+            interval: cmdline_opts.series * 1000,
+            events: cmdline_opts.events
+        });
+    }
+
+    if (cmdline_opts.expand_loops && !cmdline_opts.timeline) {
+        console.error('evttool: --expand-loops only applies to --timeline');
+        dumpHelp();
+        process.exit(1);
+    }
+
+    if (cmdline_opts.slowest && !cmdline_opts.html) {
+        console.error('evttool: --slowest only applies to --html');
+        dumpHelp();
+        process.exit(1);
+    }
+
+    if (cmdline_opts.html && !cmdline_opts.slowest) {
+        cmdline_opts.slowest = HTML_SLOWEST;
+    }
+
+    if (cmdline_opts.bounded && (cmdline_opts.critical_path
+        || cmdline_opts.trace || cmdline_opts.otlp || cmdline_opts.zipkin
+        || cmdline_opts.clocks || cmdline_opts.fix_clocks)) {
+
+        console.error('evttool: cannot combine --bounded and '
+            + '--critical-path, --trace, --otlp, --zipkin, --clocks or '
+            + '--fix-clocks');
+        dumpHelp();
+        process.exit(1);
+    }
+
+    if (cmdline_opts.rules && (cmdline_opts.timeline
+        || cmdline_opts.critical_path || cmdline_opts.compare
+        || cmdline_opts.live || cmdline_opts.browse)) {
+
+        console.error('evttool: cannot combine --rules and --timeline, '
+            + '--critical-path, --compare, --live or --browse');
+        dumpHelp();
+        process.exit(1);
+    }
+
+    if (wantRuleStream() && (cmdline_opts.clocks || cmdline_opts.fix_clocks
+        || cmdline_opts.trace || cmdline_opts.otlp || cmdline_opts.zipkin)) {
+
+        console.error('evttool: --clocks, --fix-clocks, --trace, --otlp and '
+            + '--zipkin need --report or --html to be combined with --rules');
+        dumpHelp();
+        process.exit(1);
+    }
+
+    if (cmdline_opts.fail_on && !cmdline_opts.rules) {
+        console.error('evttool: --fail-on only applies to --rules');
+        dumpHelp();
+        process.exit(1);
+    }
+
+    if (cmdline_opts.rules) {
+        if (!cmdline_opts.fail_on) {
+            cmdline_opts.fail_on = 'warning';
+        }
+        if (RULE_SEVERITIES.indexOf(cmdline_opts.fail_on) === -1) {
+            console.error('evttool: unknown --fail-on severity: %s',
+                cmdline_opts.fail_on);
+            dumpHelp();
+            process.exit(1);
         }
+        try {
+            cmdline_opts.rules = loadRules(cmdline_opts.rules);
+        } catch (e) {
+            console.error('evttool: error: %s', e.message);
+            process.exit(1);
+        }
+    }
 
-        evt = objToEvent(JSON.parse(line));
-        handleEvent(evt);
-    }, function (err, evts) {
+    (cmdline_opts.field || []).concat(cmdline_opts.group_by || [])
+        .forEach(function (arg) {
+
+        arg.split(',').forEach(function (name) {
+            if (name.length > 0 && fields.indexOf(name) === -1) {
+                fields.push(name);
+            }
+        });
+    });
+
+    try {
+        eventFilter = createFilter(cmdline_opts);
+    } catch (e) {
+        console.error('evttool: error: %s', e.message);
+        process.exit(1);
+    }
+
+    if (cmdline_opts.otlp && cmdline_opts.zipkin) {
+        console.error('evttool: cannot combine --otlp and --zipkin');
+        dumpHelp();
+        process.exit(1);
+    }
+
+    if (cmdline_opts.live && (cmdline_opts.report || cmdline_opts.stream
+        || cmdline_opts.timeline || cmdline_opts.critical_path
+        || cmdline_opts.compare || cmdline_opts.trace || cmdline_opts.otlp
+        || cmdline_opts.zipkin || cmdline_opts.clocks
+        || cmdline_opts.fix_clocks)) {
+
+        console.error('evttool: --live can only be combined with --time and '
+            + '--events');
+        dumpHelp();
+        process.exit(1);
+    }
+
+    if (cmdline_opts.browse && (cmdline_opts.report || cmdline_opts.stream
+        || cmdline_opts.timeline || cmdline_opts.critical_path
+        || cmdline_opts.compare || cmdline_opts.live)) {
+
+        console.error('evttool: cannot combine --browse and --report, '
+            + '--stream, --timeline, --critical-path, --compare or --live');
+        dumpHelp();
+        process.exit(1);
+    }
+
+    if (cmdline_opts.browse && (files.indexOf('-') !== -1
+        || !process.stdin.isTTY || !process.stdout.isTTY)) {
+
+        console.error('evttool: --browse needs FILE arguments and a terminal');
+        dumpHelp();
+        process.exit(1);
+    }
+
+    if (cmdline_opts.browse) {
+        stylize = (cmdline_opts['no-color'] ? stylizeWithoutColor
+            : stylizeWithColor);
+    }
+
+    if (cmdline_opts.live) {
+        if (cmdline_opts['no-color'] || !process.stdout.isTTY) {
+            stylize = stylizeWithoutColor;
+        } else {
+            stylize = stylizeWithColor;
+        }
+        liveOpen();
+    }
+
+    if (cmdline_opts.trace) {
+        traceOpen(cmdline_opts.trace);
+    }
+
+    if (cmdline_opts.otlp) {
+        spansOpen('otlp', cmdline_opts.otlp);
+    } else if (cmdline_opts.zipkin) {
+        spansOpen('zipkin', cmdline_opts.zipkin);
+    }
+
+    evtParser = new EvtParser({fields: fields, strict: cmdline_opts.strict});
+    analyzer = createAnalyzer(eventFilter);
+
+    if (cmdline_opts.compare) {
+        try {
+            baselineFiles = expandInputs(cmdline_opts.compare);
+        } catch (e) {
+            console.error('evttool: error: %s', e.message);
+            process.exit(1);
+        }
+
+        // Read the baseline first, keep its report and start over with the
+        // candidate.
+        readInput = function (callback) {
+            readEvents(baselineFiles, function (err) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                checkClocks();
+                if (trace) {
+                    traceRequests(analyzer.requests);
+                }
+                baseline = analyzer.report(cmdline_opts);
+                analyzer = createAnalyzer(eventFilter);
+                openCheckTime = 0;
+                readEvents(files, callback);
+            });
+        };
+    } else {
+        readInput = function (callback) {
+            readEvents(files, callback);
+        };
+    }
+
+    readInput(function (err) {
         if (err) {
             console.error('ERROR: ' + err.message);
-            return;
+            process.exit(1);
+        }
+        clocks = checkClocks();
+        if (trace) {
+            traceRequests(analyzer.requests);
+            traceClose();
+        }
+        if (live) {
+            liveClose();
         }
         if (cmdline_opts.timeline) {
             outputTimeline();
         }
+        if (cmdline_opts.critical_path) {
+            outputCriticalPath();
+        }
+        if (series) {
+            if (!cmdline_opts.bounded) {
+                Object.keys(analyzer.requests).forEach(function (req_id) {
+                    seriesAddRequest(series,
+                        buildSpanTree(analyzer.requests[req_id]));
+                });
+            }
+            outputSeries();
+        }
+        if (cmdline_opts.report || cmdline_opts.html) {
+            report = analyzer.report(cmdline_opts);
+            countViolations(report.violations);
+        }
         if (cmdline_opts.report) {
-            outputReport();
+            outputReport(report);
+        }
+        if (cmdline_opts.html) {
+            outputHTML(report);
+        }
+        if (cmdline_opts.orphans) {
+            outputOrphans();
         }
-        if (Object.keys(insaneReqs).length > 0) {
-            console.log('\n=== Insane Requests ===');
-            console.log(JSON.stringify(insaneReqs, null, 2));
+        if (cmdline_opts.clocks) {
+            outputClocks(clocks);
         }
-        if (Object.keys(lateReqs).length > 0) {
-            console.log('\n=== Late Requests ===');
-            console.log(JSON.stringify(lateReqs, null, 2));
+        if (cmdline_opts.compare) {
+            regressions = outputCompare(baseline,
+                analyzer.report(cmdline_opts));
         }
-        if (cmdline_opts.debug && Object.keys(ignoredIds).length > 0) {
+        if (cmdline_opts.debug && Object.keys(evtParser.ignored).length > 0) {
             console.error('\n=== Ignored Events ===');
-            console.error(JSON.stringify(ignoredIds, null, 2));
+            console.error(JSON.stringify(evtParser.ignored, null, 2));
+        }
+        if (Object.keys(evtParser.skipped).length > 0) {
+            console.error('\n=== Skipped Lines ===');
+            Object.keys(evtParser.skipped).sort().forEach(function (reason) {
+                console.error('%d %s (first at %s)',
+                    evtParser.skipped[reason].count, reason,
+                    evtParser.skipped[reason].first);
+            });
+        }
+        if (regressions > 0) {
+            exitCode = 2;
+        } else if (cmdline_opts.rules && ruleFailures > 0) {
+            exitCode = 3;
+        }
+        // Exiting early would cut the trace file short or drop spans still on
+        // their way to a collector
+        traceWait(function () {
+            if (!spanExport) {
+                if (exitCode !== 0) {
+                    process.exit(exitCode);
+                }
+                return;
+            }
+            exportSpans(function (exportErr) {
+                if (exportErr) {
+                    console.error('evttool: error: %s', exportErr.message);
+                    process.exit(1);
+                }
+                if (exitCode !== 0) {
+                    process.exit(exitCode);
+                }
+            });
+        });
+        if (cmdline_opts.browse) {
+            browseOpen();
         }
     });
 }
 
-// Kick everything off
-main();
+// Kick everything off (see lib/ to use evttool as a library)
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,407 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Pairing begin and end events into spans, and keeping the spans of each
+ * request.
+ *
+ * An Analyzer takes events (eg. from an EvtParser) with write(evt), and can be
+ * piped into like a writable stream. All its state is its own:
+ *
+ *  analyzer.open:            begins without an end yet, by signature (see
+ *                            evtSig()): {fields, file, hostname, id, line,
+ *                            req_id, time}
+ *  analyzer.requests:        the completed spans of each request, by req_id
+ *  analyzer.orphanEnds:      ends that had no begin, counted by id and
+ *                            hostname: {count, first, hostname, id, req_id}
+ *  analyzer.duplicateBegins: begins seen twice without an end, counted the
+ *                            same way
+ *  analyzer.latestTime:      time of the latest event seen
+ *  analyzer.forceClosed:     number of requests finished while they still
+ *                            had events open (see maxRequests)
+ *  analyzer.lateEvents:      number of events left out because their request
+ *                            had already been finished (see grace)
+ *
+ * Options:
+ *
+ *  filter:  function (evt, [start]) returning false for events to leave out
+ *           (see createFilter()). Begins that are left out are still paired
+ *           with their ends.
+ *  keep:    set to false to not keep the spans of each request (eg. when only
+ *           listening for 'span')
+ *
+ * and to keep memory bounded on big captures:
+ *
+ *  grace:        finish each request once nothing in it has been open for
+ *                this many ms (of event time), instead of at end(). Its spans
+ *                are then added to the report (see report()), emitted with
+ *                'request' and forgotten. Events for the last MAX_FINISHED
+ *                requests finished this way are counted in lateEvents and
+ *                left out, rather than starting a new request.
+ *  maxRequests:  with grace, if more than this many requests are in progress
+ *                the least recently active ones are force-closed: finished
+ *                anyway, forgetting their open events.
+ *  report:       with grace, the options for the report (see
+ *                createReportData())
+ *
+ * Events emitted:
+ *
+ *  'begin' (evt):             a begin that passed the filter
+ *  'span' (span, evt):        a completed span that passed the filter, along
+ *                             with the end event (which now has .elapsed)
+ *  'orphan' (evt):            an end without a begin
+ *  'late' (evt):              with grace, an event for a request that was
+ *                             already finished
+ *  'duplicate' (evt, first):  a begin for something that's already open,
+ *                             where 'first' is the first begin (as in .open)
+ *  'request' (req_id, spans, forced):
+ *                             for each request that has spans: on end(), or
+ *                             with grace as soon as it's finished, with
+ *                             'forced' true if it was force-closed
+ *  'finish':                  on end(), after all 'request's
+ *
+ * Each span is:
+ *
+ *  {
+ *      elapsed: <ms>,
+ *      fields: <kept fields, from the begin and the end>,
+ *      hostname: <hostname>,
+ *      id: <id without any req_seq suffix>,
+ *      parent_id: <evt.parent_id>,
+ *      pid: <pid>,
+ *      req_id: <req_id>,
+ *      sig: <signature>,
+ *      span_id: <evt.span_id>,
+ *      stack: <evt.stack>,
+ *      start: <time of the begin>
+ *  }
+ *
+ * which is what buildSpanTree() and buildReport() take.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var common = require('./common');
+var report = require('./report');
+
+/*
+ * With grace, how many finished req_ids to remember (at least) so that
+ * events that come in after their request was finished can be told apart.
+ */
+var MAX_FINISHED = 100000;
+
+function Analyzer(opts) {
+    EventEmitter.call(this);
+
+    this.duplicateBegins = {};
+    this.filter = ((opts && opts.filter) || null);
+    this.forceClosed = 0;
+    this.grace = ((opts && opts.grace !== undefined) ? opts.grace : null);
+    this.keep = !(opts && opts.keep === false);
+    this.latestTime = 0;
+    this.lateEvents = 0;
+    this.maxRequests = ((opts && opts.maxRequests) || Infinity);
+    this.open = {};
+    this.orphanEnds = {};
+    this.requests = {};
+    this.writable = true;
+
+    // With grace: what's open in each request and when it was last active,
+    // the report that finished requests are added to, and the req_ids of
+    // those finished recently (in two generations of up to MAX_FINISHED).
+    this._checkTime = 0;
+    this._finished = {};
+    this._finishedCount = 0;
+    this._finishedOld = {};
+    this._progress = {};
+    this._reportData = (this.grace !== null
+        ? report.createReportData(opts.report) : null);
+}
+util.inherits(Analyzer, EventEmitter);
+
+/*
+ * Count 'evt' in 'orphans' (one of orphanEnds or duplicateBegins) by its id
+ * and hostname, with the first one's location and req_id as an example.
+ */
+function countOrphan(orphans, evt) {
+    var key = common.trimIdSeq(evt.id) + ' ' + evt.hostname;
+
+    if (!orphans.hasOwnProperty(key)) {
+        orphans[key] = {
+            count: 0,
+            first: evt.file + ':' + evt.line,
+            hostname: evt.hostname,
+            id: common.trimIdSeq(evt.id),
+            req_id: evt.req_id
+        };
+    }
+    orphans[key].count++;
+}
+
+Analyzer.prototype._begin = function _begin(evt) {
+    var sig = common.evtSig(evt);
+
+    if (this.open[sig]) {
+        countOrphan(this.duplicateBegins, evt);
+        this.emit('duplicate', evt, this.open[sig]);
+        return;
+    }
+
+    // We only need to know start time, signature and where the begin came
+    // from, then when we see an end with the same sigature, we know that has
+    // completed.
+    this.open[sig] = {
+        fields: evt.fields,
+        file: evt.file,
+        hostname: evt.hostname,
+        id: common.trimIdSeq(evt.id),
+        line: evt.line,
+        req_id: evt.req_id,
+        time: evt.time
+    };
+    this._touch(evt.req_id, sig, true);
+
+    if (this.filter && !this.filter(evt)) {
+        return;
+    }
+    this.emit('begin', evt);
+};
+
+Analyzer.prototype._end = function _end(evt) {
+    var begin;
+    var sig = common.evtSig(evt);
+    var span;
+
+    begin = this.open[sig];
+    if (!begin) {
+        // ignore ends without beginnings! (but count them)
+        countOrphan(this.orphanEnds, evt);
+        this.emit('orphan', evt);
+        return;
+    }
+
+    evt.elapsed = evt.time - begin.time;
+
+    // fields kept with --field can be on either the begin or the end
+    if (begin.fields) {
+        Object.keys(begin.fields).forEach(function (name) {
+            if (!evt.fields.hasOwnProperty(name)) {
+                evt.fields[name] = begin.fields[name];
+            }
+        });
+    }
+
+    // no longer open
+    delete this.open[sig];
+    this._touch(evt.req_id, sig, false);
+
+    if (this.filter && !this.filter(evt, begin.time)) {
+        return;
+    }
+
+    span = {
+        elapsed: evt.elapsed,
+        fields: evt.fields,
+        hostname: evt.hostname,
+        id: common.trimIdSeq(evt.id),
+        parent_id: evt.parent_id,
+        pid: evt.pid,
+        req_id: evt.req_id,
+        sig: sig,
+        span_id: evt.span_id,
+        stack: evt.stack,
+        start: begin.time
+    };
+
+    // add this (now closed) event to the list for this req_id
+    if (this.keep) {
+        if (!this.requests[evt.req_id]) {
+            this.requests[evt.req_id] = [];
+        }
+        this.requests[evt.req_id].push(span);
+    }
+
+    this.emit('span', span, evt);
+};
+
+/*
+ * With grace, note that 'sig' in request 'req_id' was just opened (or closed).
+ */
+Analyzer.prototype._touch = function _touch(req_id, sig, opened) {
+    var progress;
+
+    if (this.grace === null) {
+        return;
+    }
+
+    if (!this._progress.hasOwnProperty(req_id)) {
+        this._progress[req_id] = {open: {}, count: 0, last: 0};
+    }
+    progress = this._progress[req_id];
+
+    if (opened) {
+        progress.open[sig] = true;
+        progress.count++;
+    } else if (progress.open[sig]) {
+        delete progress.open[sig];
+        progress.count--;
+    }
+    progress.last = this.latestTime;
+};
+
+/*
+ * Add request 'req_id' to the report and forget it. When 'forced', also
+ * forget the events it still has open.
+ */
+Analyzer.prototype._finish = function _finish(req_id, forced) {
+    var progress = this._progress[req_id];
+    var self = this;
+    var spans = (this.requests[req_id] || []);
+
+    if (forced) {
+        Object.keys(progress.open).forEach(function (sig) {
+            delete self.open[sig];
+        });
+        this.forceClosed++;
+    }
+    delete this._progress[req_id];
+    delete this.requests[req_id];
+
+    if (this._finishedCount >= MAX_FINISHED) {
+        this._finishedOld = this._finished;
+        this._finished = {};
+        this._finishedCount = 0;
+    }
+    this._finished[req_id] = true;
+    this._finishedCount++;
+
+    if (spans.length > 0) {
+        report.reportAddRequest(this._reportData, req_id, spans);
+        this.emit('request', req_id, spans, forced);
+    }
+};
+
+/*
+ * With grace, finish the requests that have had nothing open for long
+ * enough, then force-close the least recently active ones if there are still
+ * more than maxRequests.
+ */
+Analyzer.prototype._finishIdle = function _finishIdle() {
+    var now = this.latestTime;
+    var remaining = [];
+    var self = this;
+
+    Object.keys(this._progress).forEach(function (req_id) {
+        var progress = self._progress[req_id];
+
+        if (progress.count === 0 && now - progress.last >= self.grace) {
+            self._finish(req_id, false);
+        } else {
+            remaining.push(req_id);
+        }
+    });
+
+    if (remaining.length <= this.maxRequests) {
+        return;
+    }
+
+    remaining.sort(function (a, b) {
+        return (self._progress[a].last - self._progress[b].last);
+    });
+    remaining = remaining.slice(0, remaining.length - this.maxRequests);
+    remaining.forEach(function (req_id) {
+        self._finish(req_id, true);
+    });
+};
+
+/*
+ * Add one event. Returns true, like a writable stream with room to spare.
+ */
+Analyzer.prototype.write = function write(evt) {
+    if (evt.time > this.latestTime) {
+        this.latestTime = evt.time;
+    }
+
+    if (this.grace !== null && (this._finished.hasOwnProperty(evt.req_id)
+        || this._finishedOld.hasOwnProperty(evt.req_id))) {
+
+        // too late to be part of its request, which has been reported
+        this.lateEvents++;
+        this.emit('late', evt);
+    } else {
+        switch (evt.phase) {
+            case 'end':
+                this._end(evt);
+                break;
+            case 'begin':
+                this._begin(evt);
+                break;
+            default:
+                throw new Error('Unhandled phase: ' + evt.phase);
+        }
+    }
+
+    // Look for finished requests once per second (of event time)
+    if (this.grace !== null && this.latestTime - this._checkTime >= 1000) {
+        this._checkTime = this.latestTime;
+        this._finishIdle();
+    }
+
+    return (true);
+};
+
+/*
+ * No more events: emit 'request' for each request (with grace, finishing all
+ * those still in progress), then 'finish'.
+ */
+Analyzer.prototype.end = function end(evt) {
+    var self = this;
+
+    if (evt) {
+        this.write(evt);
+    }
+    this.writable = false;
+
+    if (this.grace !== null) {
+        Object.keys(this._progress).forEach(function (req_id) {
+            self._finish(req_id, false);
+        });
+    }
+
+    Object.keys(this.requests).forEach(function (req_id) {
+        self.emit('request', req_id, self.requests[req_id], false);
+    });
+    this.emit('finish');
+};
+
+/*
+ * Returns the report (see reportSummary()) for all requests so far. 'opts' is
+ * as for createReportData(). With grace, this is only the requests that have
+ * been finished (all of them after end()), the report options are those given
+ * to the constructor, and the report also has force_closed: the number of
+ * requests that were force-closed, and late_events: the number of events that
+ * came in after their request was finished.
+ */
+Analyzer.prototype.report = function analyzerReport(opts) {
+    var summary;
+
+    if (this.grace === null) {
+        return (report.buildReport(this.requests, opts));
+    }
+
+    summary = report.reportSummary(this._reportData);
+    summary.force_closed = this.forceClosed;
+    summary.late_events = this.lateEvents;
+
+    return (summary);
+};
+
+module.exports = {
+    Analyzer: Analyzer
+};
@@ -0,0 +1,328 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Estimating and correcting the clock offsets between hosts (--clocks,
+ * --fix-clocks).
+ *
+ * Each span's times come from the clock of the host that logged it. A child
+ * span has to run within its parent, so when the two were logged on different
+ * hosts, a and b, each such pair bounds the difference between the offsets
+ * that line up those hosts' clocks (the ms to add to each host's times):
+ *
+ *     parent.start - child.start <= offset(child) - offset(parent)
+ *     offset(child) - offset(parent) <= parent.end - child.end
+ *
+ * (where a span with no parent is taken to be a child of the top-level span).
+ * Over many requests the bounds for a and b narrow down to a range. If 0 is
+ * in that range the clocks agree as far as we can tell, otherwise the offset
+ * is the smallest correction that makes all the pairs fit. The host with the
+ * most spans is the reference (offset 0), and the others are lined up with it
+ * through the pairs of hosts with the most spans between them.
+ */
+
+var spans = require('./spans');
+
+// This fraction of the bounds at each end are ignored, so that a few odd pairs
+// (eg. a parent whose end was logged late) can't throw off the estimate.
+var CLOCKS_OUTLIERS = 0.05;
+
+// How many times to re-estimate with the spans corrected (see
+// estimateClocks())
+var CLOCKS_PASSES = 3;
+
+/*
+ * Returns the bounds on offset(b) - offset(a) from each parent/child pair of
+ * spans on different hosts in 'requests' (spans by req_id, as in
+ * Analyzer.requests), by pair of hosts (a before b), along with the number of
+ * spans on each host. The spans are first moved by 'offsets' (by hostname),
+ * so the bounds are on what's left to correct after those.
+ */
+function clockPairs(requests, offsets) {
+    var counts = {};
+    var pairs = {};
+
+    Object.keys(requests).forEach(function (req_id) {
+        var tree;
+
+        tree = spans.buildSpanTree(requests[req_id].map(function (span) {
+            return ({
+                elapsed: span.elapsed,
+                hostname: span.hostname,
+                id: span.id,
+                parent_id: span.parent_id,
+                span_id: span.span_id,
+                stack: span.stack,
+                start: span.start + (offsets[span.hostname] || 0)
+            });
+        }));
+
+        tree.spans.forEach(function (span) {
+            var a;
+            var b;
+            var key;
+            var lower;
+            var parent = span.parent;
+            var upper;
+
+            // A span that couldn't be placed (often because of the very skew
+            // we're looking for) still ran within the top-level span.
+            if (!parent && span !== tree.roots[0]) {
+                parent = tree.roots[0];
+            }
+
+            counts[span.hostname] = (counts[span.hostname] || 0) + 1;
+            if (!parent || parent.hostname === span.hostname) {
+                return;
+            }
+
+            // bounds on offset(child) - offset(parent)
+            lower = parent.start - span.start;
+            upper = parent.end - span.end;
+
+            if (parent.hostname < span.hostname) {
+                a = parent.hostname;
+                b = span.hostname;
+            } else {
+                a = span.hostname;
+                b = parent.hostname;
+                lower = -(parent.end - span.end);
+                upper = -(parent.start - span.start);
+            }
+
+            key = a + '\u0000' + b;
+            if (!pairs.hasOwnProperty(key)) {
+                pairs[key] = {a: a, b: b, lower: [], upper: []};
+            }
+            pairs[key].lower.push(lower);
+            pairs[key].upper.push(upper);
+        });
+    });
+
+    return ({counts: counts, pairs: pairs});
+}
+
+/*
+ * Returns the estimate of offset(b) - offset(a) for one pair of hosts (see
+ * clockPairs()):
+ *
+ *  {
+ *      offset: <ms>,
+ *      min: <lowest offset all the pairs allow>,
+ *      max: <highest>,
+ *      consistent: <false if no one offset fits (min > max)>,
+ *      samples: <number of parent/child pairs>,
+ *      violations: <how many of those don't fit without a correction>
+ *  }
+ *
+ * The offset is 0 if that fits, otherwise it's halfway between min and max.
+ */
+function clockPairEstimate(pair) {
+    var drop = Math.floor(pair.lower.length * CLOCKS_OUTLIERS);
+    var est = {samples: pair.lower.length, violations: 0};
+    var lower = pair.lower.slice().sort(function (x, y) { return (x - y); });
+    var upper = pair.upper.slice().sort(function (x, y) { return (x - y); });
+
+    est.min = lower[lower.length - 1 - drop];
+    est.max = upper[drop];
+    est.consistent = (est.min <= est.max);
+
+    if (est.consistent && est.min <= 0 && est.max >= 0) {
+        est.offset = 0;
+    } else {
+        est.offset = Math.round((est.min + est.max) / 2);
+    }
+
+    pair.lower.forEach(function (l, idx) {
+        if (l > 0 || pair.upper[idx] < 0) {
+            est.violations++;
+        }
+    });
+
+    return (est);
+}
+
+/*
+ * One pass of estimateClocks(): returns {reference, hosts} with the estimate
+ * for each host (by hostname) of what's left to correct after 'offsets',
+ * lining hosts up with 'reference' (or the host with the most spans) through
+ * the pairs of hosts with the most samples.
+ */
+function clockPass(requests, offsets, reference) {
+    var edges;
+    var found = true;
+    var hosts = {};
+    var result = clockPairs(requests, offsets);
+
+    Object.keys(result.counts).forEach(function (hostname) {
+        if (!reference
+            || result.counts[hostname] > result.counts[reference]) {
+
+            reference = hostname;
+        }
+    });
+    if (!reference) {
+        return ({reference: null, hosts: hosts});
+    }
+    hosts[reference] = {hostname: reference, offset: 0, min: 0, max: 0};
+
+    // Most samples first
+    edges = Object.keys(result.pairs).map(function (key) {
+        var pair = result.pairs[key];
+        var est = clockPairEstimate(pair);
+
+        est.a = pair.a;
+        est.b = pair.b;
+        return (est);
+    }).sort(function (x, y) {
+        return (y.samples - x.samples);
+    });
+
+    // Line up a host we haven't yet with one we have, through the pair with
+    // the most samples, until there are no more.
+    while (found) {
+        found = false;
+        edges.some(function (est) {
+            var from;
+            var sign;
+            var to;
+
+            if (hosts[est.a] && !hosts[est.b]) {
+                from = est.a;
+                to = est.b;
+                sign = 1;
+            } else if (hosts[est.b] && !hosts[est.a]) {
+                from = est.b;
+                to = est.a;
+                sign = -1;
+            } else {
+                return (false);
+            }
+
+            hosts[to] = {
+                hostname: to,
+                offset: hosts[from].offset + sign * est.offset,
+                min: hosts[from].offset + (sign > 0 ? est.min : -est.max),
+                max: hosts[from].offset + (sign > 0 ? est.max : -est.min),
+                via: from,
+                consistent: est.consistent,
+                samples: est.samples,
+                violations: est.violations
+            };
+            found = true;
+            return (true);
+        });
+    }
+
+    Object.keys(result.counts).forEach(function (hostname) {
+        if (!hosts[hostname]) {
+            hosts[hostname] = {hostname: hostname, offset: 0, min: 0, max: 0};
+        }
+    });
+
+    return ({reference: reference, hosts: hosts});
+}
+
+/*
+ * Returns the estimated clock offset of each host in 'requests' (spans by
+ * req_id, as in Analyzer.requests):
+ *
+ *  {
+ *      reference: <hostname of the host the others are lined up with>,
+ *      hosts: [    // by hostname
+ *          {
+ *              hostname: <hostname>,
+ *              offset: <ms to add to this host's times>,
+ *              min: <lowest offset the spans allow>,
+ *              max: <highest>,
+ *              via: <hostname of the host it was lined up with>,
+ *              consistent: <see clockPairEstimate()>,
+ *              samples: <parent/child pairs between the two hosts>,
+ *              violations: <how many of those didn't fit as logged>
+ *          },
+ *          ...
+ *      ]
+ *  }
+ *
+ * The reference host has offset 0 and no 'via', and so do hosts that have no
+ * parent/child pairs with the others.
+ *
+ * Skewed spans often get the wrong parent (or none), so once there's an
+ * estimate it's tried out: the spans are moved by it and what's left to
+ * correct is estimated again, up to CLOCKS_PASSES times.
+ */
+function estimateClocks(requests) {
+    var first;
+    var hosts;
+    var offsets = {};
+    var pass;
+    var reference = null;
+    var result;
+
+    for (pass = 0; pass < CLOCKS_PASSES; pass++) {
+        result = clockPass(requests, offsets, reference);
+        hosts = result.hosts;
+        reference = result.reference;
+        if (!first) {
+            first = hosts;
+        }
+
+        Object.keys(hosts).forEach(function (hostname) {
+            var host = hosts[hostname];
+
+            host.min += (offsets[hostname] || 0);
+            host.max += (offsets[hostname] || 0);
+            host.offset += (offsets[hostname] || 0);
+        });
+
+        if (Object.keys(hosts).every(function (hostname) {
+            return (hosts[hostname].offset === (offsets[hostname] || 0));
+        })) {
+            break;
+        }
+
+        offsets = {};
+        Object.keys(hosts).forEach(function (hostname) {
+            offsets[hostname] = hosts[hostname].offset;
+        });
+    }
+
+    return ({
+        reference: reference,
+        hosts: Object.keys(hosts).sort().map(function (hostname) {
+            var host = hosts[hostname];
+
+            // how the logs looked before any correction
+            host.violations = first[hostname].violations;
+            return (host);
+        })
+    });
+}
+
+/*
+ * Add the offset of each host in 'clocks' (from estimateClocks()) to the start
+ * of all its spans in 'requests', in place.
+ */
+function correctClocks(requests, clocks) {
+    var offsets = {};
+
+    clocks.hosts.forEach(function (host) {
+        offsets[host.hostname] = host.offset;
+    });
+
+    Object.keys(requests).forEach(function (req_id) {
+        requests[req_id].forEach(function (span) {
+            span.start += (offsets[span.hostname] || 0);
+        });
+    });
+}
+
+module.exports = {
+    correctClocks: correctClocks,
+    estimateClocks: estimateClocks
+};
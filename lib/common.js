@@ -0,0 +1,63 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Small helpers for events shared by the rest of lib/.
+ */
+
+/*
+ * Returns: true if 'str' is a UUID, false otherwise.
+ */
+function isUUID(str)
+{
+    var re = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/;
+    if (str && str.length === 36 && str.match(re)) {
+        return true;
+    } else {
+        return false;
+    }
+}
+
+/*
+ * Look up a dotted path (eg. evt.args.image) in 'obj'. Returns undefined if
+ * any part is missing.
+ */
+function lookupPath(obj, name) {
+    var value = obj;
+
+    name.split('.').forEach(function (part) {
+        value = ((value !== undefined && value !== null) ? value[part]
+            : undefined);
+    });
+
+    return (value);
+}
+
+function trimIdSeq(id) {
+    // imgapi.getimage.1429078896344 -> imgapi.getimage
+    return (id.replace(/\.[0-9]+$/, ''));
+}
+
+/*
+ * The signature that a begin and its end have in common, used to pair them.
+ */
+function evtSig(evt) {
+    var sig = evt.req_id + ':' + evt.hostname + ':' + evt.id;
+
+    if (evt.span_id) {
+        sig = sig + ':' + evt.span_id;
+    }
+    return (sig);
+}
+
+module.exports = {
+    evtSig: evtSig,
+    isUUID: isUUID,
+    lookupPath: lookupPath,
+    trimIdSeq: trimIdSeq
+};
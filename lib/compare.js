@@ -0,0 +1,224 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Comparing two reports from buildReport() (--compare).
+ */
+
+// Significance level below which compare mode considers a slowdown real
+var COMPARE_ALPHA = 0.05;
+
+/*
+ * log(gamma(x)) using the Lanczos approximation (x > 0).
+ */
+function logGamma(x) {
+    var coef = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    var ser = 1.000000000190015;
+    var tmp = x + 5.5;
+    var y = x;
+
+    tmp -= (x + 0.5) * Math.log(tmp);
+    coef.forEach(function (c) {
+        y++;
+        ser += c / y;
+    });
+
+    return (-tmp + Math.log(2.5066282746310005 * ser / x));
+}
+
+/*
+ * The regularized incomplete beta function I_x(a, b), evaluated with a
+ * continued fraction (see Numerical Recipes, "Incomplete Beta Function").
+ */
+function incompleteBeta(x, a, b) {
+    var aa;
+    var bt;
+    var c = 1;
+    var d;
+    var del;
+    var h;
+    var m;
+
+    if (x <= 0) {
+        return (0);
+    }
+    if (x >= 1) {
+        return (1);
+    }
+
+    bt = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b)
+        + (a * Math.log(x)) + (b * Math.log(1 - x)));
+
+    // the continued fraction converges fastest on this side
+    if (x >= (a + 1) / (a + b + 2)) {
+        return (1 - incompleteBeta(1 - x, b, a));
+    }
+
+    d = 1 - ((a + b) * x / (a + 1));
+    d = (Math.abs(d) < 1e-30 ? 1e-30 : d);
+    d = 1 / d;
+    h = d;
+    for (m = 1; m <= 200; m++) {
+        aa = m * (b - m) * x / ((a + (2 * m) - 1) * (a + (2 * m)));
+        d = 1 + (aa * d);
+        d = (Math.abs(d) < 1e-30 ? 1e-30 : d);
+        c = 1 + (aa / c);
+        c = (Math.abs(c) < 1e-30 ? 1e-30 : c);
+        d = 1 / d;
+        h *= d * c;
+
+        aa = -(a + m) * (a + b + m) * x / ((a + (2 * m)) * (a + (2 * m) + 1));
+        d = 1 + (aa * d);
+        d = (Math.abs(d) < 1e-30 ? 1e-30 : d);
+        c = 1 + (aa / c);
+        c = (Math.abs(c) < 1e-30 ? 1e-30 : c);
+        d = 1 / d;
+        del = d * c;
+        h *= del;
+        if (Math.abs(del - 1) < 3e-7) {
+            break;
+        }
+    }
+
+    return (bt * h / a);
+}
+
+/*
+ * Welch's t-test, one-sided: returns the p-value for the candidate's mean
+ * being larger than the baseline's, given the statsSummary() of each. Returns
+ * null when either side has too few values to say.
+ */
+function welchPValue(base, cand) {
+    var df;
+    var pTail;
+    var se2;
+    var t;
+    var vb;
+    var vc;
+
+    if (!base || !cand || base.count < 2 || cand.count < 2) {
+        return (null);
+    }
+
+    // summaries have the population stddev, we want the sample variance
+    vb = base.stddev * base.stddev * base.count / (base.count - 1) / base.count;
+    vc = cand.stddev * cand.stddev * cand.count / (cand.count - 1) / cand.count;
+    se2 = vb + vc;
+
+    if (se2 === 0) {
+        return (cand.mean > base.mean ? 0 : 1);
+    }
+
+    t = (cand.mean - base.mean) / Math.sqrt(se2);
+    df = (se2 * se2) / (((vb * vb) / (base.count - 1))
+        + ((vc * vc) / (cand.count - 1)));
+
+    // two-tailed probability of |T| > |t| is I_{df/(df+t^2)}(df/2, 1/2)
+    pTail = incompleteBeta(df / (df + (t * t)), df / 2, 0.5) / 2;
+
+    return (t > 0 ? pTail : 1 - pTail);
+}
+
+function pctChange(base, cand) {
+    if (base === null || base === undefined || cand === null
+        || cand === undefined) {
+
+        return (null);
+    }
+    if (base === 0) {
+        return (cand === 0 ? 0 : Infinity);
+    }
+    return (Math.round(((cand - base) / base) * 1000) / 10);
+}
+
+/*
+ * Compare two reports from buildReport(). Returns a row for each top-level
+ * operation (with event: null) followed by its sub-events, for all ids seen
+ * in either report:
+ *
+ *  {
+ *      operation: <top-level id>,
+ *      event: <sub-event id, or null for the operation itself>,
+ *      baseline: <statsSummary() or null if not in baseline>,
+ *      candidate: <statsSummary() or null if not in candidate>,
+ *      count_change: <candidate count - baseline count>,
+ *      p50_change_pct: <% change in p50>,
+ *      p99_change_pct: <% change in p99>,
+ *      p_value: <welchPValue() of the change>,
+ *      significant: <p_value < COMPARE_ALPHA>,
+ *      regression: <significant and p50 or p99 grew more than threshold %>
+ *  }
+ */
+function compareReports(baseline, candidate, threshold) {
+    var ids = [];
+    var rows = [];
+
+    function index(report) {
+        var idx = {};
+
+        report.operations.forEach(function (op) {
+            if (ids.indexOf(op.id) === -1) {
+                ids.push(op.id);
+            }
+            idx[op.id] = {stats: op.stats, events: {}, order: []};
+            op.events.forEach(function (evt) {
+                idx[op.id].events[evt.id] = evt.stats;
+                idx[op.id].order.push(evt.id);
+            });
+        });
+
+        return (idx);
+    }
+
+    function row(operation, evt, base, cand) {
+        var r = {
+            operation: operation,
+            event: evt,
+            baseline: base || null,
+            candidate: cand || null,
+            count_change: (cand ? cand.count : 0) - (base ? base.count : 0),
+            p50_change_pct: pctChange(base && base.p50, cand && cand.p50),
+            p99_change_pct: pctChange(base && base.p99, cand && cand.p99),
+            p_value: welchPValue(base, cand)
+        };
+
+        r.significant = (r.p_value !== null && r.p_value < COMPARE_ALPHA);
+        r.regression = (r.significant && (r.p50_change_pct > threshold
+            || r.p99_change_pct > threshold));
+        rows.push(r);
+    }
+
+    baseline = index(baseline);
+    candidate = index(candidate);
+
+    ids.forEach(function (id) {
+        var base = baseline[id] || {events: {}, order: []};
+        var cand = candidate[id] || {events: {}, order: []};
+        var events = cand.order.slice();
+
+        base.order.forEach(function (evt) {
+            if (events.indexOf(evt) === -1) {
+                events.push(evt);
+            }
+        });
+
+        row(id, null, base.stats, cand.stats);
+        events.forEach(function (evt) {
+            row(id, evt, base.events[evt], cand.events[evt]);
+        });
+    });
+
+    return (rows);
+}
+
+module.exports = {
+    COMPARE_ALPHA: COMPARE_ALPHA,
+    compareReports: compareReports,
+    welchPValue: welchPValue
+};
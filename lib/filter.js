@@ -0,0 +1,337 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Filtering events (--filter, --since, --until, --req, --req-file).
+ *
+ * A filter expression is made of comparisons of an event field with a value,
+ * combined with &&, || and ! and grouped with parentheses:
+ *
+ *     FIELD == VALUE       FIELD != VALUE
+ *     FIELD =~ /REGEX/     FIELD !~ /REGEX/
+ *     FIELD > VALUE        (also >=, <, <=)
+ *
+ * where VALUE is a number, a "string" (or 'string') or a /regex/ with
+ * optional flags. FIELD is any field of the event (see EvtParser.toEvent())
+ * or kept with --field, where "id" is the id without any req_seq suffix, and
+ * "elapsed" and "start" are only set on ends. Fields can be dotted (eg. a.b)
+ * to look inside objects. A string compared with time or start is parsed as a
+ * date.
+ */
+
+var fs = require('fs');
+
+var common = require('./common');
+
+function tokenizeFilter(expr) {
+    var m;
+    var pos = 0;
+    var rest;
+    var tokens = [];
+
+    while (pos < expr.length) {
+        rest = expr.slice(pos);
+        if ((m = rest.match(/^\s+/))) {
+            pos += m[0].length;
+            continue;
+        }
+
+        if ((m = rest.match(/^(&&|\|\||==|!=|=~|!~|>=|<=|>|<|!|\(|\))/))) {
+            tokens.push({type: 'op', value: m[1], pos: pos});
+        } else if ((m = rest.match(/^("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')/))) {
+            tokens.push({type: 'value', pos: pos,
+                value: m[1].slice(1, -1).replace(/\\(.)/g, '$1')});
+        } else if ((m = rest.match(/^\/((?:[^\/\\]|\\.)*)\/([gimy]*)/))) {
+            try {
+                tokens.push({type: 'value', pos: pos,
+                    value: new RegExp(m[1], m[2])});
+            } catch (e) {
+                throw new Error('--filter: bad regex at ' + pos + ': '
+                    + e.message);
+            }
+        } else if ((m = rest.match(/^-?[0-9]+(\.[0-9]+)?(?![A-Za-z_])/))) {
+            tokens.push({type: 'value', value: Number(m[0]), pos: pos});
+        } else if ((m = rest.match(/^[A-Za-z_][A-Za-z0-9_.]*/))) {
+            tokens.push({type: 'field', value: m[0], pos: pos});
+        } else {
+            throw new Error('--filter: unexpected "' + rest.charAt(0)
+                + '" at ' + pos);
+        }
+        pos += m[0].length;
+    }
+
+    return (tokens);
+}
+
+/*
+ * Look up 'name' on an event for filtering. 'start' is the start time of the
+ * span when this is an end. Fields kept with --field are checked first.
+ */
+function filterField(evt, name, start) {
+    if (evt.fields && evt.fields.hasOwnProperty(name)) {
+        return (evt.fields[name]);
+    }
+    if (name === 'id') {
+        return (common.trimIdSeq(evt.id));
+    }
+    if (name === 'start') {
+        return (start);
+    }
+
+    return (common.lookupPath(evt, name));
+}
+
+/*
+ * Compile a filter expression into a function(evt, start) that returns true
+ * if the event matches. Throws on syntax errors.
+ */
+function compileFilter(expr) {
+    var idx = 0;
+    var matcher;
+    var tokens = tokenizeFilter(expr);
+
+    function peek(value) {
+        return (idx < tokens.length && tokens[idx].type === 'op'
+            && tokens[idx].value === value);
+    }
+
+    function fail(msg) {
+        throw new Error('--filter: ' + msg + (idx < tokens.length
+            ? ' at ' + tokens[idx].pos : ' at end'));
+    }
+
+    function parseComparison() {
+        var field;
+        var op;
+        var value;
+
+        if (idx >= tokens.length || tokens[idx].type !== 'field') {
+            fail('expected a field name');
+        }
+        field = tokens[idx++].value;
+
+        if (idx >= tokens.length || tokens[idx].type !== 'op'
+            || ['==', '!=', '=~', '!~', '>', '>=', '<', '<='].indexOf(
+            tokens[idx].value) === -1) {
+
+            fail('expected a comparison after "' + field + '"');
+        }
+        op = tokens[idx++].value;
+
+        if (idx >= tokens.length || tokens[idx].type !== 'value') {
+            fail('expected a value after "' + op + '"');
+        }
+        value = tokens[idx].value;
+
+        if (value instanceof RegExp && op !== '=~' && op !== '!~') {
+            fail('a /regex/ needs =~ or !~');
+        }
+        idx++;
+
+        if (op === '=~' || op === '!~') {
+            if (!(value instanceof RegExp)) {
+                value = new RegExp(String(value));
+            }
+            return (function (evt, start) {
+                var v = filterField(evt, field, start);
+                var match = (v !== undefined && v !== null
+                    && value.test(String(v)));
+
+                return (op === '=~' ? match : !match);
+            });
+        }
+
+        if ((field === 'time' || field === 'start')
+            && typeof (value) === 'string') {
+
+            value = parseTime(value);
+        }
+
+        return (function (evt, start) {
+            var v = filterField(evt, field, start);
+
+            if (v === undefined || v === null) {
+                return (op === '!=');
+            }
+            if (typeof (value) === 'number') {
+                v = Number(v);
+            } else {
+                v = String(v);
+            }
+
+            switch (op) {
+                case '==':
+                    return (v === value);
+                case '!=':
+                    return (v !== value);
+                case '>':
+                    return (v > value);
+                case '>=':
+                    return (v >= value);
+                case '<':
+                    return (v < value);
+                default:
+                    return (v <= value);
+            }
+        });
+    }
+
+    function parseNot() {
+        var inner;
+
+        if (peek('!')) {
+            idx++;
+            inner = parseNot();
+            return (function (evt, start) {
+                return (!inner(evt, start));
+            });
+        }
+        if (peek('(')) {
+            idx++;
+            inner = parseOr();
+            if (!peek(')')) {
+                fail('expected ")"');
+            }
+            idx++;
+            return (inner);
+        }
+        return (parseComparison());
+    }
+
+    function parseAnd() {
+        var left = parseNot();
+        var right;
+
+        while (peek('&&')) {
+            idx++;
+            right = parseNot();
+            left = (function (l, r) {
+                return (function (evt, start) {
+                    return (l(evt, start) && r(evt, start));
+                });
+            })(left, right);
+        }
+        return (left);
+    }
+
+    function parseOr() {
+        var left = parseAnd();
+        var right;
+
+        while (peek('||')) {
+            idx++;
+            right = parseAnd();
+            left = (function (l, r) {
+                return (function (evt, start) {
+                    return (l(evt, start) || r(evt, start));
+                });
+            })(left, right);
+        }
+        return (left);
+    }
+
+    matcher = parseOr();
+    if (idx < tokens.length) {
+        fail('unexpected "' + tokens[idx].value + '"');
+    }
+
+    return (matcher);
+}
+
+/*
+ * Parse a --since/--until TIME: ISO 8601 (or anything Date can parse), or a
+ * number of s/m/h/d before now (eg. 30m or -30m). Returns ms since the Epoch.
+ */
+function parseTime(str) {
+    var m = str.match(/^-?([0-9]+)([smhd])$/);
+    var time;
+    var units = {s: 1000, m: 60 * 1000, h: 60 * 60 * 1000,
+        d: 24 * 60 * 60 * 1000};
+
+    if (m) {
+        return (Date.now() - (Number(m[1]) * units[m[2]]));
+    }
+
+    time = (new Date(str)).getTime();
+    if (isNaN(time)) {
+        throw new Error('invalid time: "' + str + '"');
+    }
+    return (time);
+}
+
+/*
+ * Build a filter from 'opts' (with the same names as the command line
+ * options: filter, since, until, req and req_file). Returns a function(evt,
+ * [start]) that returns true if 'evt' passes the filter, where for ends
+ * 'start' is the start time of the span and that's what since/until are
+ * compared with. Returns null if there's nothing to filter on. Throws on a bad
+ * expression or time.
+ */
+function createFilter(opts) {
+    var expr = null;
+    var req_ids = null;
+    var since = null;
+    var until = null;
+
+    if (!opts.filter && !opts.since && !opts.until && !opts.req
+        && !opts.req_file) {
+
+        return (null);
+    }
+
+    if (opts.filter) {
+        expr = compileFilter(opts.filter);
+    }
+    if (opts.since) {
+        since = parseTime(opts.since);
+    }
+    if (opts.until) {
+        until = parseTime(opts.until);
+    }
+    if (opts.req || opts.req_file) {
+        req_ids = {};
+        (opts.req || []).forEach(function (req_id) {
+            req_ids[req_id] = true;
+        });
+        if (opts.req_file) {
+            fs.readFileSync(opts.req_file, 'utf8').split('\n').forEach(
+                function (line) {
+
+                line = line.trim();
+                if (line.length > 0 && line.charAt(0) !== '#') {
+                    req_ids[line] = true;
+                }
+            });
+        }
+    }
+
+    return (function eventMatches(evt, start) {
+        var time = (start !== undefined ? start : evt.time);
+
+        if (req_ids && !req_ids.hasOwnProperty(evt.req_id)) {
+            return (false);
+        }
+        if (since !== null && time < since) {
+            return (false);
+        }
+        if (until !== null && time >= until) {
+            return (false);
+        }
+        if (expr && !expr(evt, start)) {
+            return (false);
+        }
+
+        return (true);
+    });
+}
+
+module.exports = {
+    compileFilter: compileFilter,
+    createFilter: createFilter,
+    parseTime: parseTime
+};
@@ -0,0 +1,320 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * The report (see reportSummary()) as a single HTML page (--html), with
+ * everything it needs inline so it can be mailed or attached anywhere: the
+ * stats tables (sortable by clicking a column), a histogram of each
+ * sub-event, the shapes of each operation's requests (when the report was
+ * made with the shapes option), the hot hosts, top self time, polling loops,
+ * the violations of the anomaly rules (see checkRequest()), and a waterfall of
+ * each of the slowest requests of each operation (when the report was made
+ * with the slowest option).
+ */
+
+var stats = require('./stats');
+
+var HTML_STYLE = [
+    'body { font: 13px sans-serif; margin: 20px; color: #222; }',
+    'h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 32px; }',
+    'h3 { font-size: 14px; }',
+    'table { border-collapse: collapse; margin: 8px 0; }',
+    'th, td { padding: 3px 8px; border-bottom: 1px solid #ddd; }',
+    'th { background: #f4f4f4; text-align: left; cursor: pointer; }',
+    'td.num { text-align: right; font-family: monospace; }',
+    '.hot, .critical { color: #c00; font-weight: bold; }',
+    '.warning { color: #b07800; }',
+    '.hist { display: flex; align-items: flex-end; height: 32px; }',
+    '.hist div { width: 8px; margin-right: 1px; background: #4a90d9; }',
+    'details { margin: 4px 0; } summary { cursor: pointer; }',
+    '.wf { position: relative; margin: 4px 0 12px 0; }',
+    '.wf .row { display: flex; height: 18px; align-items: center; }',
+    '.wf .label { width: 40%; overflow: hidden; white-space: nowrap;',
+    '    font-family: monospace; }',
+    '.wf .lane { position: relative; flex: 1; height: 12px;',
+    '    background: #f4f4f4; }',
+    '.wf .bar { position: absolute; height: 12px; min-width: 1px;',
+    '    background: #4a90d9; }',
+    '.wf .late .bar { background: #e6a700; }',
+    '.wf .ms { width: 70px; text-align: right; font-family: monospace; }'
+].join('\n');
+
+// Sort a table by the clicked column, numerically when both cells are
+// numbers, and the other way on the next click.
+var HTML_SCRIPT = [
+    'document.querySelectorAll("table.sortable th").forEach(function (th) {',
+    '    th.addEventListener("click", function () {',
+    '        var body = th.closest("table").tBodies[0];',
+    '        var col = th.cellIndex;',
+    '        var dir = (th.dataset.dir === "asc" ? -1 : 1);',
+    '        var rows = Array.prototype.slice.call(body.rows);',
+    '        th.dataset.dir = (dir === 1 ? "asc" : "desc");',
+    '        rows.sort(function (a, b) {',
+    '            var x = a.cells[col].textContent;',
+    '            var y = b.cells[col].textContent;',
+    '            if (!isNaN(parseFloat(x)) && !isNaN(parseFloat(y))) {',
+    '                return ((parseFloat(x) - parseFloat(y)) * dir);',
+    '            }',
+    '            return (x.localeCompare(y) * dir);',
+    '        });',
+    '        rows.forEach(function (row) { body.appendChild(row); });',
+    '    });',
+    '});'
+].join('\n');
+
+function escapeHTML(value) {
+    return (String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;').replace(/"/g, '&quot;'));
+}
+
+/*
+ * Returns a sortable table with a header row of 'columns' and 'rows' (arrays
+ * of cells). Numbers are right-aligned, and cells can be {html: ...} to
+ * include markup.
+ */
+function htmlTable(columns, rows) {
+    var html = ['<table class="sortable"><thead><tr>'];
+
+    columns.forEach(function (col) {
+        html.push('<th>' + escapeHTML(col) + '</th>');
+    });
+    html.push('</tr></thead><tbody>');
+    rows.forEach(function (row) {
+        html.push('<tr>');
+        row.forEach(function (cell) {
+            if (typeof (cell) === 'number') {
+                html.push('<td class="num">' + cell + '</td>');
+            } else if (cell !== null && typeof (cell) === 'object') {
+                html.push('<td>' + cell.html + '</td>');
+            } else {
+                html.push('<td>' + escapeHTML(cell === undefined ? ''
+                    : cell) + '</td>');
+            }
+        });
+        html.push('</tr>');
+    });
+    html.push('</tbody></table>');
+
+    return (html.join('\n'));
+}
+
+function statsColumns() {
+    return (['count', 'min', 'max', 'mean', 'stddev'].concat(
+        stats.STATS_PERCENTILES.map(function (pct) {
+            return ('p' + pct);
+        })));
+}
+
+function statsCells(summary) {
+    return (statsColumns().map(function (col) {
+        return (summary[col]);
+    }));
+}
+
+/*
+ * A histogram of power-of-two 'buckets' (as in the report), one bar per
+ * bucket from the smallest to the largest, with the bucket in its tooltip.
+ */
+function htmlHistogram(buckets) {
+    var counts = {};
+    var html = ['<div class="hist">'];
+    var max = 0;
+    var value;
+
+    if (buckets.length === 0) {
+        return ('');
+    }
+
+    buckets.forEach(function (b) {
+        counts[b.value] = b.count;
+        max = Math.max(max, b.count);
+    });
+
+    for (value = buckets[0].value; value <= buckets[buckets.length - 1].value;
+        value = (value === 0 ? 1 : value * 2)) {
+
+        html.push('<div style="height: ' + Math.round((counts[value] || 0)
+            / max * 100) + '%" title="&lt;= ' + value + 'ms: '
+            + (counts[value] || 0) + '"></div>');
+    }
+    html.push('</div>');
+
+    return (html.join(''));
+}
+
+/*
+ * One of the slowest requests (see reportKeepSlowest()) as a collapsed
+ * waterfall: one row per span, with a bar for when it ran.
+ */
+function htmlWaterfall(req) {
+    var html = [];
+    var total = Math.max(req.total, 1);
+
+    html.push('<details id="req-' + escapeHTML(req.req_id) + '"><summary>'
+        + req.elapsed + 'ms ' + escapeHTML(new Date(req.start).toISOString())
+        + ' ' + escapeHTML(req.req_id) + '</summary><div class="wf">');
+    req.spans.forEach(function (span) {
+        html.push('<div class="row' + (span.late ? ' late' : '') + '" title="'
+            + escapeHTML(span.id + ' on ' + span.hostname + ': +' + span.start
+            + 'ms, ' + span.elapsed + 'ms') + '">'
+            + '<div class="label" style="padding-left: ' + (span.depth * 12)
+            + 'px">' + escapeHTML(span.id) + '</div>'
+            + '<div class="lane"><div class="bar" style="left: '
+            + (span.start / total * 100).toFixed(2) + '%; width: '
+            + (span.elapsed / total * 100).toFixed(2) + '%"></div></div>'
+            + '<div class="ms">' + span.elapsed + '</div></div>');
+    });
+    html.push('</div></details>');
+
+    return (html.join('\n'));
+}
+
+function htmlOperation(operation, idx) {
+    var html = [];
+    var rows;
+
+    html.push('<h2 id="op' + idx + '">' + escapeHTML(operation.id) + ' ('
+        + operation.count + ' requests)</h2>');
+    html.push(htmlTable(statsColumns(), [statsCells(operation.stats)]));
+
+    rows = operation.events.map(function (evt) {
+        var hosts = evt.hosts.map(function (host) {
+            return ('<span' + (host.hot ? ' class="hot"' : '') + ' title="'
+                + 'p50 ' + host.p50 + 'ms, p99 ' + host.p99 + 'ms, '
+                + host.count + ' requests">' + escapeHTML(host.hostname)
+                + '</span>');
+        });
+
+        return ([evt.id].concat(statsCells(evt.stats), [evt.self.p50,
+            evt.self.mean, {html: htmlHistogram(evt.buckets)},
+            {html: hosts.join('<br>')}]));
+    });
+    html.push('<h3>Events</h3>');
+    html.push(htmlTable(['event'].concat(statsColumns(), ['self p50',
+        'self mean', 'histogram', 'hosts']), rows));
+
+    if (operation.shapes) {
+        html.push('<h3>Request shapes</h3>');
+        html.push(htmlTable(['events', 'share %'].concat(statsColumns(),
+            ['example']), operation.shapes.map(function (shape) {
+            return ([shape.events.join(', ')].concat([shape.share_pct],
+                statsCells(shape.stats), [shape.example]));
+        })));
+    }
+
+    if (operation.slowest && operation.slowest.length > 0) {
+        html.push('<h3>Slowest requests</h3>');
+        operation.slowest.forEach(function (req) {
+            html.push(htmlWaterfall(req));
+        });
+    }
+
+    return (html.join('\n'));
+}
+
+/*
+ * Returns the HTML page for 'report'. 'opts' can have 'title'.
+ */
+function htmlReport(report, opts) {
+    var html = [];
+    var title = ((opts && opts.title) || 'evttool report');
+    var waterfalls = {};
+
+    report.operations.forEach(function (operation) {
+        (operation.slowest || []).forEach(function (req) {
+            waterfalls[req.req_id] = true;
+        });
+    });
+
+    html.push('<!DOCTYPE html>');
+    html.push('<html><head><meta charset="utf-8"><title>' + escapeHTML(title)
+        + '</title>');
+    html.push('<style>\n' + HTML_STYLE + '\n</style></head><body>');
+    html.push('<h1>' + escapeHTML(title) + '</h1>');
+    html.push('<p>All times are in milliseconds. Click a column header to '
+        + 'sort by it.</p>');
+
+    html.push('<ul>');
+    report.operations.forEach(function (operation, idx) {
+        html.push('<li><a href="#op' + idx + '">' + escapeHTML(operation.id)
+            + '</a> (' + operation.count + ')</li>');
+    });
+    html.push('</ul>');
+
+    report.operations.forEach(function (operation, idx) {
+        html.push(htmlOperation(operation, idx));
+    });
+
+    if (report.hot_hosts.length > 0) {
+        html.push('<h2>Hot hosts</h2>');
+        html.push(htmlTable(['operation', 'event', 'hostname', 'count', 'p50',
+            'fleet p50'], report.hot_hosts.map(function (hot) {
+            return ([hot.operation, hot.event, hot.hostname, hot.count,
+                hot.p50, hot.fleet_p50]);
+        })));
+    }
+
+    if (report.self_time.length > 0) {
+        html.push('<h2>Top self time</h2>');
+        html.push(htmlTable(['event', 'total', 'share %', 'mean', 'count'],
+            report.self_time.map(function (entry) {
+            return ([entry.id, entry.total, entry.share_pct, entry.mean,
+                entry.count]);
+        })));
+    }
+
+    if (report.polling_loops.length > 0) {
+        html.push('<h2>Polling loops</h2>');
+        html.push(htmlTable(['operation', 'event', 'total', 'share %', 'mean',
+            'loops', 'repeats'], report.polling_loops.map(function (loop) {
+            return ([loop.operation, loop.id, loop.total, loop.share_pct,
+                loop.mean, loop.count, loop.repeats]);
+        })));
+    }
+
+    if (report.violations.length > 0) {
+        html.push('<h2>Anomalies</h2>');
+        html.push(htmlTable(['severity', 'rule', 'req_id', 'event', 'count',
+            'detail'], report.violations.map(function (violation) {
+            var req_id = escapeHTML(violation.req_id);
+
+            // Link to the request's waterfall if it has one, otherwise say
+            // how to see its timeline.
+            if (waterfalls[violation.req_id]) {
+                req_id = '<a href="#req-' + req_id + '">' + req_id + '</a>';
+            } else if (violation.timeline) {
+                req_id = '<span title="' + escapeHTML(violation.timeline)
+                    + '">' + req_id + '</span>';
+            }
+
+            return ([{html: '<span class="' + violation.severity + '">'
+                + violation.severity + '</span>'}, violation.rule,
+                {html: req_id}, violation.id, violation.count,
+                violation.detail]);
+        })));
+    }
+
+    if (report.force_closed > 0) {
+        html.push('<p>' + report.force_closed + ' requests were force-closed '
+            + '(see --max-requests) and are missing their open events.</p>');
+    }
+
+    if (report.late_events > 0) {
+        html.push('<p>' + report.late_events + ' events came in after their '
+            + 'request was finished (see --grace) and are left out.</p>');
+    }
+
+    html.push('<script>\n' + HTML_SCRIPT + '\n</script>');
+    html.push('</body></html>');
+
+    return (html.join('\n') + '\n');
+}
+
+module.exports = {
+    htmlReport: htmlReport
+};
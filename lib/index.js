@@ -0,0 +1,71 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * evttool as a library. For example, to get the spans of each request in a
+ * log file:
+ *
+ *     var evttool = require('evttool');
+ *     var analyzer = new evttool.Analyzer();
+ *
+ *     analyzer.on('request', function (req_id, spans) {
+ *         var tree = evttool.buildSpanTree(spans);
+ *         ...
+ *     });
+ *     fs.createReadStream('vmapi.log').pipe(new evttool.EvtParser())
+ *         .pipe(analyzer);
+ *
+ * See lib/parser.js and lib/analyzer.js for the details.
+ */
+
+var analyzer = require('./analyzer');
+var clocks = require('./clocks');
+var common = require('./common');
+var compare = require('./compare');
+var filter = require('./filter');
+var html = require('./html');
+var input = require('./input');
+var parser = require('./parser');
+var report = require('./report');
+var rules = require('./rules');
+var series = require('./series');
+var spans = require('./spans');
+var stats = require('./stats');
+
+module.exports = {
+    Analyzer: analyzer.Analyzer,
+    EvtParser: parser.EvtParser,
+
+    buildReport: report.buildReport,
+    buildSpanTree: spans.buildSpanTree,
+    checkRequest: rules.checkRequest,
+    compareReports: compare.compareReports,
+    compileRules: rules.compileRules,
+    correctClocks: clocks.correctClocks,
+    createFilter: filter.createFilter,
+    createReportData: report.createReportData,
+    createSeries: series.createSeries,
+    createStats: stats.createStats,
+    estimateClocks: clocks.estimateClocks,
+    evtSig: common.evtSig,
+    expandInputs: input.expandInputs,
+    findLoops: spans.findLoops,
+    forEachLine: input.forEachLine,
+    htmlReport: html.htmlReport,
+    loadRules: rules.loadRules,
+    mergeLines: input.mergeLines,
+    reportAddRequest: report.reportAddRequest,
+    reportSummary: report.reportSummary,
+    requestShape: report.requestShape,
+    seriesAddRequest: series.seriesAddRequest,
+    seriesSummary: series.seriesSummary,
+    statsAdd: stats.statsAdd,
+    statsMerge: stats.statsMerge,
+    statsSummary: stats.statsSummary,
+    walkSpans: spans.walkSpans
+};
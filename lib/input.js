@@ -0,0 +1,413 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Reading lines of input: files (optionally compressed), globs of them and
+ * stdin, one after the other or merged in time order.
+ */
+
+var child_process = require('child_process');
+var fs = require('fs');
+var glob = require('glob');
+var PassThrough = require('stream').PassThrough;
+var zlib = require('zlib');
+
+/*
+ * Expand the list of FILE arguments into a list of files to read. Arguments
+ * containing glob characters are expanded (and must match at least one file),
+ * others are passed through as-is. With no arguments, read stdin ('-').
+ */
+function expandInputs(args)
+{
+    var files = [];
+
+    if (args.length === 0) {
+        return (['-']);
+    }
+
+    args.forEach(function (arg) {
+        var matches;
+
+        if (arg === '-' || !glob.hasMagic(arg)) {
+            files.push(arg);
+            return;
+        }
+
+        matches = glob.sync(arg, {nodir: true});
+        if (matches.length === 0) {
+            throw new Error('no files match "' + arg + '"');
+        }
+        files = files.concat(matches.sort());
+    });
+
+    return (files);
+}
+
+/*
+ * Returns a readable stream with the (decompressed) contents of 'file'. If
+ * 'file' is '-' this is stdin. Files ending in .gz are gunzipped with zlib,
+ * files ending in .bz2 are piped through bzip2(1) since node has no bzip2
+ * support of its own.
+ */
+function openInput(file)
+{
+    var bzip2;
+    var gunzip;
+    var stream;
+
+    if (file === '-') {
+        return (process.stdin);
+    }
+
+    if (file.match(/\.gz$/)) {
+        stream = fs.createReadStream(file);
+        gunzip = zlib.createGunzip();
+        // errors (eg. ENOENT) aren't passed along by pipe()
+        stream.on('error', function (err) {
+            gunzip.emit('error', err);
+        });
+        return (stream.pipe(gunzip));
+    }
+
+    if (file.match(/\.bz2$/)) {
+        // bzip2's stdout can end before we know whether it succeeded, so
+        // hold back the end of the stream until it has exited.
+        stream = new PassThrough();
+        bzip2 = child_process.spawn('bzip2', ['-dc', file],
+            {stdio: ['ignore', 'pipe', 'pipe']});
+        bzip2.stderr.setEncoding('utf8');
+        bzip2.stderr.on('data', function (data) {
+            bzip2.stderr_output = (bzip2.stderr_output || '') + data;
+        });
+        bzip2.on('error', function (err) {
+            stream.emit('error', err);
+        });
+        bzip2.on('close', function (code) {
+            if (code !== 0) {
+                stream.emit('error', new Error('bzip2 exited ' + code
+                    + ' reading ' + file + ': '
+                    + (bzip2.stderr_output || '').trim()));
+                return;
+            }
+            stream.end();
+        });
+        bzip2.stdout.pipe(stream, {end: false});
+        return (stream);
+    }
+
+    return (fs.createReadStream(file));
+}
+
+/*
+ * Call line_cb(line, lineno) for each line of 'file' (see openInput()), then
+ * call callback([err]) on EOF or error. Returns the stream being read so that
+ * the caller can pause() and resume() it, or null if it could not be opened.
+ */
+function readLines(file, line_cb, callback)
+{
+    var buffer = '';
+    var done = false;
+    var lineno = 0;
+    var stream;
+
+    function finish(err) {
+        if (done) {
+            return;
+        }
+        done = true;
+        callback(err);
+    }
+
+    try {
+        stream = openInput(file);
+    } catch (e) {
+        finish(e);
+        return (null);
+    }
+
+    stream.setEncoding('utf8');
+    stream.resume();
+
+    stream.on('error', function (err) {
+        if (err.message.indexOf(file) === -1) {
+            err.message = file + ': ' + err.message;
+        }
+        finish(err);
+    });
+
+    stream.on('end', function () {
+        if (done) {
+            return;
+        }
+        // remainder
+        lineno++;
+        line_cb(buffer, lineno);
+        finish();
+    });
+
+    stream.on('data', function (data) {
+        var chunks;
+
+        buffer += data;
+        chunks = buffer.split('\n');
+        while (chunks.length > 1) {
+            lineno++;
+            line_cb(chunks.shift(), lineno);
+        }
+        buffer = chunks.pop();
+    });
+
+    return (stream);
+}
+
+/*
+ * Call line_cb(line, source) for each line in each of 'files' in turn, where
+ * source is {file: <name>, line: <lineno>}. Then call callback([err]) once all
+ * files have been read, or on the first error.
+ */
+function forEachLine(files, line_cb, callback)
+{
+    var idx = 0;
+
+    function nextFile() {
+        var file;
+
+        if (idx >= files.length) {
+            callback();
+            return;
+        }
+
+        file = files[idx++];
+        readLines(file, function (line, lineno) {
+            line_cb(line, {
+                file: (file === '-' ? '<stdin>' : file),
+                line: lineno
+            });
+        }, function (err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            nextFile();
+        });
+    }
+
+    nextFile();
+}
+
+/*
+ * Minimal binary heap used by mergeLines(). Items are kept ordered by
+ * cmp(a, b) with the smallest at heap[0].
+ */
+function heapPush(heap, item, cmp)
+{
+    var idx = heap.length;
+    var parent;
+    var tmp;
+
+    heap.push(item);
+    while (idx > 0) {
+        parent = Math.floor((idx - 1) / 2);
+        if (cmp(heap[idx], heap[parent]) >= 0) {
+            break;
+        }
+        tmp = heap[idx];
+        heap[idx] = heap[parent];
+        heap[parent] = tmp;
+        idx = parent;
+    }
+}
+
+function heapPop(heap, cmp)
+{
+    var child;
+    var idx = 0;
+    var last = heap.pop();
+    var top = heap[0];
+    var tmp;
+
+    if (heap.length === 0) {
+        return (last);
+    }
+
+    heap[0] = last;
+    for (;;) {
+        child = (idx * 2) + 1;
+        if (child >= heap.length) {
+            break;
+        }
+        if (child + 1 < heap.length && cmp(heap[child + 1], heap[child]) < 0) {
+            child++;
+        }
+        if (cmp(heap[child], heap[idx]) >= 0) {
+            break;
+        }
+        tmp = heap[idx];
+        heap[idx] = heap[child];
+        heap[child] = tmp;
+        idx = child;
+    }
+
+    return (top);
+}
+
+/*
+ * Pull the timestamp (ms since Unix Epoch) out of a bunyan line without
+ * parsing the whole thing. Returns undefined if there's no usable time.
+ */
+function lineTime(line)
+{
+    var match = line.match(/"time":"([^"]+)"/);
+    var time;
+
+    if (!match) {
+        return (undefined);
+    }
+
+    time = (new Date(match[1])).getTime();
+    return (isNaN(time) ? undefined : time);
+}
+
+/*
+ * Like forEachLine(), but reads all 'files' at once and calls
+ * line_cb(line, source) in order of the lines' "time" fields. Each file is
+ * expected to be mostly sorted already: lines may be up to 'skew' ms out of
+ * order within a file. Lines with no time are passed through as soon as
+ * they're read.
+ *
+ * Only lines that could still be preceded by something unread are held in
+ * memory: a line is released once every file that is still being read has
+ * gotten at least 'skew' ms past it. Files that get too far ahead of the
+ * slowest one are paused until it catches up.
+ */
+function mergeLines(files, skew, line_cb, callback)
+{
+    var done = false;
+    var inputs;
+    var pending = [];
+    var remaining = files.length;
+    var seq = 0;
+
+    function cmpLines(a, b) {
+        if (a.time === b.time) {
+            return (a.seq - b.seq);
+        }
+        return (a.time - b.time);
+    }
+
+    // The time all unfinished inputs have reached, or Infinity if none.
+    function watermark() {
+        var min = Infinity;
+
+        inputs.forEach(function (input) {
+            if (!input.ended && input.latest < min) {
+                min = input.latest;
+            }
+        });
+
+        return (min);
+    }
+
+    function release() {
+        var mark = watermark();
+        var entry;
+
+        while (pending.length > 0 && pending[0].time <= mark - skew) {
+            entry = heapPop(pending, cmpLines);
+            line_cb(entry.line, entry.source);
+        }
+
+        inputs.forEach(function (input) {
+            if (!input.stream || input.ended) {
+                return;
+            }
+            if (input.latest > mark + skew && !input.paused) {
+                input.stream.pause();
+                input.paused = true;
+            } else if (input.latest <= mark + skew && input.paused) {
+                input.stream.resume();
+                input.paused = false;
+            }
+        });
+    }
+
+    function finish(err) {
+        if (done) {
+            return;
+        }
+        done = true;
+        callback(err);
+    }
+
+    if (files.length === 0) {
+        callback();
+        return;
+    }
+
+    inputs = files.map(function (file) {
+        return ({
+            ended: false,
+            file: file,
+            latest: -Infinity,
+            paused: false,
+            stream: null
+        });
+    });
+
+    inputs.forEach(function (input) {
+        var name = (input.file === '-' ? '<stdin>' : input.file);
+
+        input.stream = readLines(input.file, function (line, lineno) {
+            var source = {file: name, line: lineno};
+            var time;
+
+            if (done) {
+                return;
+            }
+
+            time = lineTime(line);
+            if (time === undefined) {
+                line_cb(line, source);
+                return;
+            }
+
+            if (time > input.latest) {
+                input.latest = time;
+            }
+            heapPush(pending, {
+                line: line,
+                seq: seq++,
+                source: source,
+                time: time
+            }, cmpLines);
+            release();
+        }, function (err) {
+            if (done) {
+                return;
+            }
+            if (err) {
+                finish(err);
+                return;
+            }
+            input.ended = true;
+            release();
+            remaining--;
+            if (remaining === 0) {
+                finish();
+            }
+        });
+    });
+}
+
+module.exports = {
+    expandInputs: expandInputs,
+    forEachLine: forEachLine,
+    mergeLines: mergeLines,
+    openInput: openInput,
+    readLines: readLines
+};
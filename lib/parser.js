@@ -0,0 +1,279 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Turning bunyan log lines (or records) into events.
+ *
+ * An EvtParser is a Transform stream: write it lines of text (or a stream of
+ * text, eg. a file) or already-parsed bunyan records, and read events (see
+ * toEvent()). Records that aren't events are dropped. The parse() and
+ * toEvent() methods do the same thing synchronously for one line or record.
+ *
+ * Options:
+ *
+ *  fields:  names (or dotted paths) of fields of the source records to keep
+ *           on each event, under evt.fields (see --field)
+ *  file:    name to use for evt.file for text written to the stream
+ *  strict:  throw (or emit 'error') on lines that aren't valid bunyan records
+ *           instead of skipping them
+ *
+ * Skipped lines are counted in parser.skipped (by reason, with where the
+ * first one was) and each one is also emitted as 'skip' (reason, source).
+ * Records with an evt that can't be used (no req_id, or a phase other than b
+ * or e) are counted in parser.ignored by evt.name. Begin and end records
+ * without a name or evt.name are skipped as 'missing name'.
+ */
+
+var path = require('path');
+var StringDecoder = require('string_decoder').StringDecoder;
+var Transform = require('stream').Transform;
+var util = require('util');
+
+var common = require('./common');
+
+function EvtParser(opts) {
+    Transform.call(this, {objectMode: true});
+
+    this.fields = ((opts && opts.fields) || []);
+    this.file = ((opts && opts.file) || '<input>');
+    this.ignored = {};
+    this.skipped = {};
+    this.strict = Boolean(opts && opts.strict);
+
+    this._buffer = '';
+    this._decoder = new StringDecoder('utf8');
+    this._lineno = 0;
+}
+util.inherits(EvtParser, Transform);
+
+/*
+ * Record that the line at 'source' was skipped because of 'reason'. In strict
+ * mode, this throws instead and the optional 'detail' is included in the
+ * error message.
+ */
+EvtParser.prototype.skip = function skip(reason, source, detail) {
+    if (this.strict) {
+        throw new Error(source.file + ':' + source.line + ': ' + reason
+            + (detail ? ': ' + detail : ''));
+    }
+
+    if (!this.skipped.hasOwnProperty(reason)) {
+        this.skipped[reason] = {
+            count: 0,
+            first: source.file + ':' + source.line
+        };
+    }
+    this.skipped[reason].count++;
+    this.emit('skip', reason, source);
+};
+
+/*
+ * Parse a line of input into a bunyan record object. Anything in front of the
+ * first '{' (eg. a syslog header) is ignored. Returns null if there's no
+ * usable record on the line, after recording why with skip().
+ */
+EvtParser.prototype.parseLine = function parseLine(line, source) {
+    var obj;
+    var start = 0;
+
+    if (!this.strict && line.charAt(0) !== '{') {
+        start = line.indexOf('{');
+        if (start === -1) {
+            this.skip('not JSON', source);
+            return (null);
+        }
+    }
+
+    try {
+        obj = JSON.parse(start > 0 ? line.slice(start) : line);
+    } catch (e) {
+        if (line.charAt(line.length - 1) !== '}') {
+            this.skip('truncated JSON', source, e.message);
+        } else {
+            this.skip('invalid JSON', source, e.message);
+        }
+        return (null);
+    }
+
+    if (obj === null || typeof (obj) !== 'object' || Array.isArray(obj)) {
+        this.skip('not a JSON object', source);
+        return (null);
+    }
+
+    return (obj);
+};
+
+/*
+ * Normalize the bunyan message into an Event object with:
+ *
+ * evt.id:       Something like machine_create.create.create-zone-uuid
+ * evt.req_id:   The UUID of the request this event belongs to
+ * evt.time:     The timestamp of the event (ms since Unix Epoch)
+ * evt.phase:    One of: 'begin' or 'end'
+ * evt.hostname: The hostname of the zone/CN where this event occurred
+ * evt.pid:      The pid of the process that logged this event
+ * evt.stack:    The dotted stack of this event (eg. a.b.c) when it has one
+ * evt.span_id:  An id for this span, when the event has evt.span_id
+ * evt.parent_id: The span_id of this span's parent, when the event has
+ *               evt.parent_id
+ * evt.fields:   The fields kept from the record (see the fields option)
+ * evt.file:     The file this event was read from ('<stdin>' for stdin)
+ * evt.line:     The line number in evt.file this event was read from
+ *
+ * Returns null if the record isn't an event we can use.
+ */
+EvtParser.prototype.toEvent = function toEvent(obj, source) {
+    var evt = {};
+    var id;
+
+    if (!obj.evt || !obj.req_id || ['b', 'e'].indexOf(obj.evt.ph) === -1) {
+        // plain log messages are expected, but keep track of events we can't
+        // use so they can be shown with --debug.
+        if (obj.evt) {
+            id = (obj.evt.name || '<no name>');
+            this.ignored[id] = (this.ignored[id] || 0) + 1;
+        }
+        return (null);
+    }
+
+    // the id is made from these, so there's nothing to go by without them
+    if (typeof (obj.name) !== 'string' || typeof (obj.evt.name) !== 'string') {
+        this.skip('missing name', source || {file: this.file, line: 0});
+        return (null);
+    }
+
+    // keep only the fields we use
+    evt.className = path.basename(obj.name); // eg. machine_create, vmapi, etc
+    evt.hostname = obj.hostname;
+    evt.label = obj.evt.name;
+    evt.pid = obj.pid;
+    evt.stack = obj.stack;
+    evt.time = (new Date(obj.time)).getTime();
+    evt.phase = (obj.evt.ph === 'b') ? 'begin' : 'end';
+    evt.req_id = obj.req_id;
+    evt.span_id = obj.evt.span_id;
+    evt.parent_id = obj.evt.parent_id;
+    if (this.fields.length > 0) {
+        evt.fields = {};
+        this.fields.forEach(function (name) {
+            var value = common.lookupPath(obj, name);
+
+            if (value !== undefined) {
+                evt.fields[name] = value;
+            }
+        });
+    }
+    if (source) {
+        evt.file = source.file;
+        evt.line = source.line;
+    }
+
+    if (isNaN(evt.time)) {
+        this.skip('invalid time', source || {file: this.file, line: 0});
+        return (null);
+    }
+
+    /*
+     * Unfortunately usage here is inconsistent. Try to make it moreso.
+     */
+    if (evt.stack) {
+        id = evt.stack;
+    } else if (evt.className === evt.label) {
+        id = evt.className;
+    } else if (evt.label.indexOf(evt.className) === 0) {
+        id = evt.label;
+    } else {
+        id = evt.className + '.' + evt.label;
+    }
+    evt.id = id;
+
+    // req_time/req_seq can be used to differentiate requests that would
+    // otherwise be identical, we hide it from output/aggregations but include
+    // in the id.
+    if (obj.evt.req_time) {
+        evt.id = evt.id + '.' + obj.evt.req_time;
+    } else if (obj.evt.req_seq) {
+        evt.id = evt.id + '.' + obj.evt.req_seq;
+    }
+
+    // Remove some fields we don't care about for now
+    delete evt.className;
+    delete evt.label;
+
+    return (evt);
+};
+
+/*
+ * Returns the event on one line of input, or null if there isn't one.
+ */
+EvtParser.prototype.parse = function parse(line, source) {
+    var obj;
+
+    if (line.length === 0) {
+        return (null);
+    }
+
+    obj = this.parseLine(line, source);
+    if (!obj) {
+        return (null);
+    }
+
+    return (this.toEvent(obj, source));
+};
+
+EvtParser.prototype._pushLine = function _pushLine(line) {
+    var evt;
+
+    this._lineno++;
+    evt = this.parse(line, {file: this.file, line: this._lineno});
+    if (evt) {
+        this.push(evt);
+    }
+};
+
+EvtParser.prototype._transform = function _transform(chunk, encoding, cb) {
+    var evt;
+    var lines;
+
+    try {
+        if (Buffer.isBuffer(chunk) || typeof (chunk) === 'string') {
+            // a multi-byte character can be split between Buffers
+            this._buffer += (typeof (chunk) === 'string' ? chunk
+                : this._decoder.write(chunk));
+            lines = this._buffer.split('\n');
+            this._buffer = lines.pop();
+            lines.forEach(this._pushLine, this);
+        } else {
+            evt = this.toEvent(chunk);
+            if (evt) {
+                this.push(evt);
+            }
+        }
+    } catch (e) {
+        cb(e);
+        return;
+    }
+
+    cb();
+};
+
+EvtParser.prototype._flush = function _flush(cb) {
+    try {
+        this._pushLine(this._buffer);
+    } catch (e) {
+        cb(e);
+        return;
+    }
+    this._buffer = '';
+
+    cb();
+};
+
+module.exports = {
+    EvtParser: EvtParser
+};
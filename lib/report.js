@@ -0,0 +1,580 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Aggregating requests into a report (--report). Requests are added to the
+ * report's data one at a time with reportAddRequest(), which only keeps
+ * streaming stats (see createStats()), and reportSummary() turns that into
+ * the report.
+ */
+
+var common = require('./common');
+var rules = require('./rules');
+var spans = require('./spans');
+var stats = require('./stats');
+
+// A host is flagged as hot for a sub-event when its median is at least this
+// many times the median over all hosts, with at least HOT_HOST_MIN_COUNT
+// requests on that host.
+var HOT_HOST_FACTOR = 2;
+var HOT_HOST_MIN_COUNT = 3;
+
+/*
+ * Returns the value of the --group-by field for a request: from the top-level
+ * span if it has it, otherwise from the first span that does.
+ */
+function reportGroup(tree, field) {
+    var value;
+
+    spans.walkSpans(tree.roots, function (span) {
+        if (value === undefined && span.fields
+            && span.fields.hasOwnProperty(field)) {
+
+            value = span.fields[field];
+        }
+    });
+
+    if (value === undefined) {
+        return ('<none>');
+    }
+    return (typeof (value) === 'string' ? value : JSON.stringify(value));
+}
+
+/*
+ * Returns the shape of the request with span tree 'tree': the ids of its
+ * sub-events (without any req_seq suffix), either the 'set' of them, sorted,
+ * or the 'sequence' they started in, with an id repeated one after the other
+ * (eg. polling) only listed once. Requests that took a different path (eg.
+ * importing an image first, or not) have different shapes.
+ */
+function requestShape(tree, kind) {
+    var ids = [];
+    var seen = {};
+
+    tree.spans.forEach(function (span) {
+        var id = common.trimIdSeq(span.id);
+
+        if (span === tree.roots[0]) {
+            return;
+        }
+        if (kind === 'set') {
+            if (!seen.hasOwnProperty(id)) {
+                seen[id] = true;
+                ids.push(id);
+            }
+        } else if (ids[ids.length - 1] !== id) {
+            ids.push(id);
+        }
+    });
+
+    if (kind === 'set') {
+        ids.sort();
+    }
+
+    return (ids);
+}
+
+/*
+ * Returns a new, empty set of report data to add requests to with
+ * reportAddRequest(). 'opts' can have:
+ *
+ *  events:    only include operations whose top-level id matches this regex
+ *  group_by:  split operations by the value of this field (see --group-by)
+ *  shapes:    'set' or 'sequence' to also break each operation down by the
+ *             shape of its requests (see requestShape())
+ *  rules:     the anomaly rules to check each request with (see
+ *             compileRules()), instead of rules.DEFAULT_RULES
+ *  slowest:   keep the spans of the slowest this many requests of each
+ *             operation (see reportKeepSlowest())
+ *  time:      only include requests (and sub-events) that took at least this
+ *             many ms
+ */
+function createReportData(opts) {
+    return ({
+        operations: {},
+        opts: (opts || {}),
+        violations: []
+    });
+}
+
+/*
+ * Keep request 'req_id' (with span tree 'tree') in 'operation' if it's one of
+ * the 'count' slowest so far, slowest first, as:
+ *
+ *  {
+ *      req_id: <req_id>,
+ *      elapsed: <elapsed ms of the top-level span>,
+ *      start: <time the top-level span started>,
+ *      total: <ms from then until the last span ended>,
+ *      spans: [    // in tree order
+ *          {
+ *              id: <id>,
+ *              hostname: <hostname>,
+ *              start: <ms after the top-level span started>,
+ *              elapsed: <ms>,
+ *              depth: <depth in the tree>,
+ *              late: <see buildSpanTree()>
+ *          },
+ *          ...
+ *      ]
+ *  }
+ */
+function reportKeepSlowest(operation, req_id, tree, count) {
+    var first = tree.roots[0];
+    var idx;
+    var slowest = operation.slowest;
+    var entry;
+
+    if (slowest.length >= count
+        && slowest[slowest.length - 1].elapsed >= first.elapsed) {
+
+        return;
+    }
+
+    entry = {
+        req_id: req_id,
+        elapsed: first.elapsed,
+        start: first.start,
+        total: 0,
+        spans: []
+    };
+    spans.walkSpans(tree.roots, function (span) {
+        entry.total = Math.max(entry.total, span.end - first.start);
+        entry.spans.push({
+            id: common.trimIdSeq(span.id),
+            hostname: span.hostname,
+            start: span.start - first.start,
+            elapsed: span.elapsed,
+            depth: span.depth,
+            late: span.late
+        });
+    });
+
+    for (idx = 0; idx < slowest.length; idx++) {
+        if (slowest[idx].elapsed < entry.elapsed) {
+            break;
+        }
+    }
+    slowest.splice(idx, 0, entry);
+    if (slowest.length > count) {
+        slowest.pop();
+    }
+}
+
+/*
+ * Add the completed spans ('events') of request 'req_id' to 'data'. Only
+ * aggregates (and with opts.slowest, the slowest requests) are kept, so the
+ * spans can be thrown away afterwards.
+ */
+function reportAddRequest(data, req_id, events) {
+    var datapoints;
+    var first;
+    var first_id;
+    var operations = data.operations;
+    var opts = data.opts;
+    var shape;
+    var shape_key;
+    var shapes;
+    var tree;
+
+    if (events.length === 0) {
+        return;
+    }
+
+    tree = spans.buildSpanTree(events);
+
+    // The top-level span is the first root. Any other roots are spans we
+    // couldn't place under it.
+    first = tree.roots[0];
+    first_id = common.trimIdSeq(first.id);
+
+    // if we've got a time filter, remove those that are too fast
+    if (opts.time && first.elapsed < opts.time) {
+        return;
+    }
+
+    if (opts.events && !first_id.match(opts.events)) {
+        // console.log('SKIPPING: ' + first_id + ' due to --events');
+        return;
+    }
+
+    // With --group-by, eg. docker.containercreate image_uuid=<uuid>
+    if (opts.group_by) {
+        first_id = first_id + ' ' + opts.group_by + '='
+            + reportGroup(tree, opts.group_by);
+    }
+
+    // Eg. docker.containercreate
+    if (!operations.hasOwnProperty(first_id)) {
+        operations[first_id] = {
+            count: 0,
+            events: {},
+            loops: {},
+            shapes: {},
+            slowest: [],
+            stats: stats.createStats()
+        };
+    }
+    operations[first_id].count++;
+    stats.statsAdd(operations[first_id].stats, first.elapsed);
+    if (opts.slowest) {
+        reportKeepSlowest(operations[first_id], req_id, tree, opts.slowest);
+    }
+    if (opts.shapes) {
+        shape = requestShape(tree, opts.shapes);
+        shape_key = shape.join(' ');
+        shapes = operations[first_id].shapes;
+        if (!shapes.hasOwnProperty(shape_key)) {
+            shapes[shape_key] = {
+                events: shape,
+                example: req_id,
+                stats: stats.createStats()
+            };
+        }
+        stats.statsAdd(shapes[shape_key].stats, first.elapsed);
+    }
+
+    // Sum the datapoints for this record
+    datapoints = {};
+    spans.walkSpans(tree.roots, function _recordOne(evt) {
+        var id = common.trimIdSeq(evt.id);
+
+        if (!datapoints[id]) {
+            datapoints[id] = {};
+        }
+        datapoints[id].count = (!datapoints[id].count
+            ? 1 : (datapoints[id].count + 1));
+        datapoints[id].total = (!datapoints[id].total
+            ? evt.elapsed : (datapoints[id].total + evt.elapsed));
+        datapoints[id].self = (!datapoints[id].self
+            ? evt.self : (datapoints[id].self + evt.self));
+        if (!datapoints[id].hosts) {
+            datapoints[id].hosts = {};
+        }
+        datapoints[id].hosts[evt.hostname] =
+            (datapoints[id].hosts[evt.hostname] || 0) + evt.elapsed;
+    });
+
+    // Time spent in retry and polling loops, by the loop's ids
+    spans.findLoops(tree).forEach(function (loop) {
+        var loops = operations[first_id].loops;
+
+        if (!loops.hasOwnProperty(loop.id)) {
+            loops[loop.id] = {count: 0, repeats: 0, total: 0};
+        }
+        loops[loop.id].count++;
+        loops[loop.id].repeats += loop.repeats;
+        loops[loop.id].total += loop.end - loop.start;
+    });
+
+    Array.prototype.push.apply(data.violations,
+        rules.checkRequest((opts.rules || rules.DEFAULT_RULES), req_id, tree));
+
+    // Any datapoints we want to merge into operations, do so now
+    Object.keys(datapoints).forEach(function (k) {
+        var events = operations[first_id].events;
+
+        if (!events.hasOwnProperty(k)) {
+            events[k] = {
+                hosts: {},
+                self: stats.createStats(),
+                stats: stats.createStats()
+            };
+        }
+        stats.statsAdd(events[k].stats, datapoints[k].total);
+        stats.statsAdd(events[k].self, datapoints[k].self);
+
+        // And per host, so a single slow CN stands out
+        Object.keys(datapoints[k].hosts).forEach(function (hostname) {
+            var hosts = events[k].hosts;
+
+            if (!hosts.hasOwnProperty(hostname)) {
+                hosts[hostname] = stats.createStats();
+            }
+            stats.statsAdd(hosts[hostname], datapoints[k].hosts[hostname]);
+        });
+    });
+}
+
+/*
+ * Returns the count, p50 and p99 of a sub-event on each host (slowest median
+ * first), flagging the hosts whose median is well above 'fleet' p50.
+ */
+function reportHosts(hosts, fleet) {
+    var names = Object.keys(hosts);
+
+    return (names.map(function (hostname) {
+        var summary = stats.statsSummary(hosts[hostname]);
+
+        return ({
+            hostname: hostname,
+            count: summary.count,
+            p50: summary.p50,
+            p99: summary.p99,
+            hot: (names.length > 1 && summary.count >= HOT_HOST_MIN_COUNT
+                && summary.p50 >= fleet.p50 * HOT_HOST_FACTOR)
+        });
+    }).sort(function (a, b) {
+        return (b.p50 - a.p50);
+    }));
+}
+
+/*
+ * Returns the report for the requests added to 'data':
+ *
+ *  {
+ *      operations: [
+ *          {
+ *              id: <top-level id>,
+ *              count: <number of requests>,
+ *              stats: <statsSummary() of the requests' elapsed times>,
+ *              events: [
+ *                  {
+ *                      id: <sub-event id>,
+ *                      stats: <statsSummary() of the per-request totals>,
+ *                      self: <statsSummary() of the per-request self times>,
+ *                      buckets: [{value: <power of 2>, count: <n>}, ...],
+ *                      hosts: [    // slowest (by p50) first
+ *                          {
+ *                              hostname: <hostname>,
+ *                              count: <number of requests>,
+ *                              p50: <p50 on this host>,
+ *                              p99: <p99 on this host>,
+ *                              hot: <see reportHosts()>
+ *                          },
+ *                          ...
+ *                      ]
+ *                  },
+ *                  ...     // slowest (by max) first
+ *              ],
+ *              slowest: [...], // only with opts.slowest, see
+ *                              // reportKeepSlowest()
+ *              shapes: [       // only with opts.shapes, most requests first
+ *                  {
+ *                      events: [<sub-event id>, ...],  // see requestShape()
+ *                      count: <number of requests>,
+ *                      share_pct: <% of the operation's requests>,
+ *                      stats: <statsSummary() of their elapsed times>,
+ *                      example: <req_id of one of them>
+ *                  },
+ *                  ...
+ *              ]
+ *          },
+ *          ...
+ *      ],
+ *      hot_hosts: [   // hosts where a sub-event is much slower than usual
+ *          {
+ *              operation: <top-level id>,
+ *              event: <sub-event id>,
+ *              hostname: <hostname>,
+ *              count: <number of requests>,
+ *              p50: <p50 on this host>,
+ *              fleet_p50: <p50 over all hosts>
+ *          },
+ *          ...
+ *      ],
+ *      self_time: [    // sub-events by total self time, most first
+ *          {
+ *              id: <sub-event id>,
+ *              count: <number of requests it was in>,
+ *              total: <self time summed over all requests>,
+ *              mean: <total / count>,
+ *              share_pct: <% of all self time>
+ *          },
+ *          ...
+ *      ],
+ *      polling_loops: [    // by total time, most first
+ *          {
+ *              operation: <top-level id>,
+ *              id: <ids of one repeat of the loop (see findLoops())>,
+ *              count: <number of loops (usually one per request)>,
+ *              repeats: <repeats of all those loops added up>,
+ *              total: <ms from the start to the end of each loop, added up>,
+ *              mean: <total / count>,
+ *              share_pct: <% of the operation's time>
+ *          },
+ *          ...
+ *      ],
+ *      violations: [...],  // see checkRequest()
+ *      late_requests: [{req_id: <req_id>, id: <sub-event id>, count: <n>}],
+ *      insane_requests: [{req_id: <req_id>, id: <sub-event id>, count: <n>}]
+ *  }
+ *
+ * late_requests and insane_requests are the violations of late and max_repeat
+ * rules, as reports had before there were rules.
+ */
+function reportSummary(data) {
+    var all_self = 0;
+    var operations = data.operations;
+    var opts = data.opts;
+    var report = {
+        operations: [],
+        hot_hosts: [],
+        self_time: [],
+        polling_loops: [],
+        violations: data.violations,
+        late_requests: [],
+        insane_requests: []
+    };
+    var self_time = {};
+    Object.keys(operations).forEach(function (id) {
+        var operation = {
+            id: id,
+            count: operations[id].count,
+            stats: stats.statsSummary(operations[id].stats),
+            events: []
+        };
+
+        if (opts.slowest) {
+            operation.slowest = operations[id].slowest;
+        }
+
+        if (opts.shapes) {
+            operation.shapes = Object.keys(operations[id].shapes).map(
+                function (key) {
+
+                var shape = operations[id].shapes[key];
+
+                return ({
+                    events: shape.events,
+                    count: shape.stats.count,
+                    share_pct: Math.round(shape.stats.count
+                        / operations[id].count * 1000) / 10,
+                    stats: stats.statsSummary(shape.stats),
+                    example: shape.example
+                });
+            }).sort(function (a, b) {
+                return (b.count - a.count);
+            });
+        }
+
+        Object.keys(operations[id].loops).forEach(function (loop_id) {
+            var loop = operations[id].loops[loop_id];
+
+            report.polling_loops.push({
+                operation: id,
+                id: loop_id,
+                count: loop.count,
+                repeats: loop.repeats,
+                total: loop.total,
+                mean: Math.floor((loop.total / loop.count) * 100) / 100,
+                share_pct: (operations[id].stats.sum > 0 ? Math.round(
+                    loop.total / operations[id].stats.sum * 1000) / 10 : 0)
+            });
+        });
+
+        Object.keys(operations[id].events).sort(function (a, b) {
+            return (operations[id].events[b].stats.max
+                - operations[id].events[a].stats.max);
+        }).forEach(function (_event) {
+            var buckets;
+            var evt = operations[id].events[_event].stats;
+            var hosts;
+            var self = operations[id].events[_event].self;
+            var summary;
+
+            if (opts.time && evt.max < opts.time) {
+                // the slowest one here was too fast for us to care about, skip.
+                return;
+            }
+
+            if (!self_time.hasOwnProperty(_event)) {
+                self_time[_event] = {id: _event, count: 0, total: 0};
+            }
+            self_time[_event].count += self.count;
+            self_time[_event].total += self.sum;
+            all_self += self.sum;
+
+            buckets = stats.powerOfTwoBuckets(evt);
+            summary = stats.statsSummary(evt);
+            hosts = reportHosts(operations[id].events[_event].hosts, summary);
+            operation.events.push({
+                id: _event,
+                stats: summary,
+                self: stats.statsSummary(self),
+                buckets: Object.keys(buckets).filter(function (b) {
+                    return (b !== 'max_count');
+                }).map(Number).sort(function (a, b) {
+                    return (a - b);
+                }).map(function (b) {
+                    return ({value: b, count: buckets[b]});
+                }),
+                hosts: hosts
+            });
+
+            hosts.forEach(function (host) {
+                if (host.hot) {
+                    report.hot_hosts.push({
+                        operation: id,
+                        event: _event,
+                        hostname: host.hostname,
+                        count: host.count,
+                        p50: host.p50,
+                        fleet_p50: summary.p50
+                    });
+                }
+            });
+        });
+
+        report.operations.push(operation);
+    });
+
+    report.self_time = Object.keys(self_time).map(function (k) {
+        var entry = self_time[k];
+
+        entry.mean = Math.floor((entry.total / entry.count) * 100) / 100;
+        entry.share_pct = (all_self > 0
+            ? Math.round(entry.total / all_self * 1000) / 10 : 0);
+        return (entry);
+    }).sort(function (a, b) {
+        return (b.total - a.total);
+    });
+
+    report.polling_loops.sort(function (a, b) {
+        return (b.total - a.total);
+    });
+
+    data.violations.forEach(function (violation) {
+        var entry = {
+            req_id: violation.req_id,
+            id: violation.id,
+            count: violation.count
+        };
+
+        if (violation.type === 'late') {
+            report.late_requests.push(entry);
+        } else if (violation.type === 'max_repeat') {
+            report.insane_requests.push(entry);
+        }
+    });
+
+    return (report);
+}
+
+/*
+ * Returns the report (see reportSummary()) for 'requests': an object with the
+ * completed spans of each request by req_id, like Analyzer.requests. 'opts'
+ * is as for createReportData().
+ */
+function buildReport(requests, opts) {
+    var data = createReportData(opts);
+
+    Object.keys(requests).forEach(function (req_id) {
+        reportAddRequest(data, req_id, requests[req_id]);
+    });
+
+    return (reportSummary(data));
+}
+
+module.exports = {
+    buildReport: buildReport,
+    createReportData: createReportData,
+    reportAddRequest: reportAddRequest,
+    requestShape: requestShape,
+    reportSummary: reportSummary
+};
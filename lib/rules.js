@@ -0,0 +1,341 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Anomaly rules (--rules): checks run on each completed request, each of which
+ * can find violations. A rules file is JSON (or YAML, for files ending in
+ * .yaml or .yml) with a list of rules:
+ *
+ *     {
+ *         "rules": [
+ *             {"type": "max_repeat", "id": "^cnapi\\.getjob$", "max": 50},
+ *             {"type": "max_elapsed", "operation": "^docker\\.",
+ *              "max": 30000, "severity": "critical"},
+ *             ...
+ *         ]
+ *     }
+ *
+ * or just the list itself.
+ *
+ * Each rule has a "type", and optionally a "name" (the type by default), a
+ * "severity" (info, warning or critical, default warning) and an "operation"
+ * regex that limits it to requests whose top-level id matches. The types are:
+ *
+ *  max_repeat:          an event (with an id matching "id", if given) happened
+ *                       more than "max" times in one request
+ *  max_elapsed:         an event (the top-level one, or those matching "id")
+ *                       took more than "max" ms
+ *  required_child:      an event matching "id" has no event matching "child"
+ *                       anywhere under it
+ *  forbidden_sequence:  events matching each of the regexes in "sequence"
+ *                       started in that order (not necessarily one right after
+ *                       the other)
+ *  late:                an event (matching "id", if given) started after its
+ *                       parent had ended (see buildSpanTree())
+ *
+ * Without a rules file, DEFAULT_RULES are used: they're the "insane" and
+ * "late" checks that reports have always had.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var common = require('./common');
+var spans = require('./spans');
+
+var RULE_SEVERITIES = ['info', 'warning', 'critical'];
+
+var DEFAULT_RULES = [
+    // Any req_id with more than 100 runs of the same task seems like a problem
+    {name: 'insane', type: 'max_repeat', max: 100},
+    {name: 'late', type: 'late'}
+];
+
+// What each type of rule needs (besides type) and can have
+var RULE_FIELDS = {
+    forbidden_sequence: {required: ['sequence'], optional: []},
+    late: {required: [], optional: ['id']},
+    max_elapsed: {required: ['max'], optional: ['id']},
+    max_repeat: {required: ['max'], optional: ['id']},
+    required_child: {required: ['id', 'child'], optional: []}
+};
+
+/*
+ * Returns the rules in 'spec' (a list of rules as described above) compiled
+ * for checkRequest(), throwing an Error on anything invalid. 'where' names
+ * where the rules came from for those errors.
+ */
+function compileRules(spec, where) {
+    if (!Array.isArray(spec)) {
+        throw new Error(where + ': expected a list of rules');
+    }
+
+    return (spec.map(function (rule, idx) {
+        var compiled;
+        var fields;
+        var prefix = where + ': rule ' + (idx + 1);
+
+        function regex(name, value) {
+            if (typeof (value) !== 'string') {
+                throw new Error(prefix + ': ' + name + ' must be a regex '
+                    + 'string');
+            }
+            try {
+                return (new RegExp(value));
+            } catch (e) {
+                throw new Error(prefix + ': bad ' + name + ': ' + e.message);
+            }
+        }
+
+        if (rule === null || typeof (rule) !== 'object') {
+            throw new Error(prefix + ': expected an object');
+        }
+        fields = RULE_FIELDS[rule.type];
+        if (!fields) {
+            throw new Error(prefix + ': unknown type "' + rule.type + '"');
+        }
+
+        Object.keys(rule).forEach(function (key) {
+            if (['name', 'operation', 'severity', 'type'].indexOf(key) === -1
+                && fields.required.indexOf(key) === -1
+                && fields.optional.indexOf(key) === -1) {
+
+                throw new Error(prefix + ': unknown field "' + key
+                    + '" for ' + rule.type);
+            }
+        });
+        fields.required.forEach(function (key) {
+            if (!rule.hasOwnProperty(key)) {
+                throw new Error(prefix + ': ' + rule.type + ' needs "' + key
+                    + '"');
+            }
+        });
+
+        compiled = {
+            name: String(rule.name || rule.type),
+            type: rule.type,
+            severity: (rule.severity || 'warning'),
+            operation: (rule.operation ? regex('operation', rule.operation)
+                : null),
+            id: (rule.id ? regex('id', rule.id) : null)
+        };
+
+        if (RULE_SEVERITIES.indexOf(compiled.severity) === -1) {
+            throw new Error(prefix + ': severity must be one of '
+                + RULE_SEVERITIES.join(', '));
+        }
+        if (rule.hasOwnProperty('max')) {
+            if (typeof (rule.max) !== 'number' || rule.max < 0) {
+                throw new Error(prefix + ': max must be a number >= 0');
+            }
+            compiled.max = rule.max;
+        }
+        if (rule.child) {
+            compiled.child = regex('child', rule.child);
+        }
+        if (rule.sequence) {
+            if (!Array.isArray(rule.sequence) || rule.sequence.length < 2) {
+                throw new Error(prefix + ': sequence must be a list of at '
+                    + 'least 2 regexes');
+            }
+            compiled.sequence = rule.sequence.map(function (re) {
+                return (regex('sequence', re));
+            });
+        }
+
+        return (compiled);
+    }));
+}
+
+/*
+ * Returns the compiled rules (see compileRules()) in the file 'file'.
+ */
+function loadRules(file) {
+    var data;
+    var ext = path.extname(file).toLowerCase();
+    var spec;
+
+    data = fs.readFileSync(file, 'utf8');
+    try {
+        if (ext === '.yaml' || ext === '.yml') {
+            spec = require('js-yaml').safeLoad(data);
+        } else {
+            spec = JSON.parse(data);
+        }
+    } catch (e) {
+        throw new Error(file + ': ' + e.message);
+    }
+
+    if (Array.isArray(spec)) {
+        return (compileRules(spec, file));
+    }
+    if (spec === null || typeof (spec) !== 'object') {
+        throw new Error(file + ': expected a list of rules or an object with '
+            + '"rules"');
+    }
+
+    return (compileRules(spec.rules, file));
+}
+
+/*
+ * Count the spans of 'tree' for which match(span) returns true, by id (without
+ * any req_seq suffix), in the order they were first seen. Returns
+ * [{id, count, spans}, ...].
+ */
+function countSpans(tree, match) {
+    var byId = {};
+    var counts = [];
+
+    spans.walkSpans(tree.roots, function (span) {
+        var id = common.trimIdSeq(span.id);
+
+        if (!match(span, id)) {
+            return;
+        }
+        if (!byId.hasOwnProperty(id)) {
+            byId[id] = {id: id, count: 0, spans: []};
+            counts.push(byId[id]);
+        }
+        byId[id].count++;
+        byId[id].spans.push(span);
+    });
+
+    return (counts);
+}
+
+/*
+ * Returns true if any span under 'span' has an id matching 're'.
+ */
+function hasDescendant(span, re) {
+    return (span.children.some(function (child) {
+        return (common.trimIdSeq(child.id).match(re)
+            || hasDescendant(child, re));
+    }));
+}
+
+/*
+ * Run 'rules' (from compileRules()) on request 'req_id' with span tree 'tree'
+ * (see buildSpanTree()), returning the violations:
+ *
+ *  {
+ *      rule: <name of the rule>,
+ *      type: <type of the rule>,
+ *      severity: <info, warning or critical>,
+ *      req_id: <req_id>,
+ *      operation: <top-level id>,
+ *      id: <id of the event at fault (or the sequence, ' -> ' separated)>,
+ *      count: <how many of those events there were>,
+ *      detail: <what's wrong, in words>
+ *  }
+ */
+function checkRequest(rules, req_id, tree) {
+    var operation = common.trimIdSeq(tree.roots[0].id);
+    var violations = [];
+
+    rules.forEach(function (rule) {
+        var next = 0;
+
+        function matchId(span, id) {
+            return (!rule.id || id.match(rule.id));
+        }
+
+        function add(id, count, detail) {
+            violations.push({
+                rule: rule.name,
+                type: rule.type,
+                severity: rule.severity,
+                req_id: req_id,
+                operation: operation,
+                id: id,
+                count: count,
+                detail: detail
+            });
+        }
+
+        if (rule.operation && !operation.match(rule.operation)) {
+            return;
+        }
+
+        switch (rule.type) {
+            case 'max_repeat':
+                countSpans(tree, matchId).forEach(function (c) {
+                    if (c.count > rule.max) {
+                        add(c.id, c.count, 'ran ' + c.count + ' times (max '
+                            + rule.max + ')');
+                    }
+                });
+                break;
+            case 'max_elapsed':
+                countSpans(tree, function (span, id) {
+                    return ((rule.id ? id.match(rule.id)
+                        : span === tree.roots[0]) && span.elapsed > rule.max);
+                }).forEach(function (c) {
+                    var slowest = 0;
+
+                    c.spans.forEach(function (span) {
+                        slowest = Math.max(slowest, span.elapsed);
+                    });
+                    add(c.id, c.count, 'took ' + slowest + 'ms (max '
+                        + rule.max + 'ms)');
+                });
+                break;
+            case 'required_child':
+                countSpans(tree, function (span, id) {
+                    return (id.match(rule.id)
+                        && !hasDescendant(span, rule.child));
+                }).forEach(function (c) {
+                    add(c.id, c.count, 'has nothing matching /'
+                        + rule.child.source + '/ under it');
+                });
+                break;
+            case 'forbidden_sequence':
+                // tree.spans is in start order
+                tree.spans.forEach(function (span) {
+                    if (next < rule.sequence.length && common.trimIdSeq(
+                        span.id).match(rule.sequence[next])) {
+
+                        next++;
+                    }
+                });
+                if (next === rule.sequence.length) {
+                    add(rule.sequence.map(function (re) {
+                        return (re.source);
+                    }).join(' -> '), 1, 'ran in a forbidden order');
+                }
+                break;
+            case 'late':
+                countSpans(tree, function (span, id) {
+                    return (span.late && matchId(span, id));
+                }).forEach(function (c) {
+                    add(c.id, c.count, 'started after its parent ended');
+                });
+                break;
+            default:
+                throw new Error('Unhandled rule type: ' + rule.type);
+        }
+    });
+
+    return (violations);
+}
+
+/*
+ * Returns true if 'severity' is at least as bad as 'min'.
+ */
+function severityAtLeast(severity, min) {
+    return (RULE_SEVERITIES.indexOf(severity)
+        >= RULE_SEVERITIES.indexOf(min));
+}
+
+module.exports = {
+    DEFAULT_RULES: compileRules(DEFAULT_RULES, 'default rules'),
+    RULE_SEVERITIES: RULE_SEVERITIES,
+    checkRequest: checkRequest,
+    compileRules: compileRules,
+    loadRules: loadRules,
+    severityAtLeast: severityAtLeast
+};
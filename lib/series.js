@@ -0,0 +1,183 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Throughput and concurrency over time (--series): each request's top-level
+ * span is counted in fixed intervals of its start and end time, by top-level
+ * id, so that eg. provisions piling up at one point of a capture stand out.
+ */
+
+var common = require('./common');
+var stats = require('./stats');
+
+/*
+ * Returns a new, empty time series to add requests to with
+ * seriesAddRequest(). 'opts' has:
+ *
+ *  interval:  the length of each bucket in ms
+ *  events:    only include operations whose top-level id matches this regex
+ */
+function createSeries(opts) {
+    return ({
+        interval: opts.interval,
+        events: (opts.events || null),
+        first: null,
+        last: null,
+        operations: {}
+    });
+}
+
+/*
+ * Add the request with span tree 'tree' (see buildSpanTree()) to 'series'.
+ * Only counts are kept, so memory grows with the number of intervals, not the
+ * number of requests.
+ */
+function seriesAddRequest(series, tree) {
+    var first = tree.roots[0];
+    var id = common.trimIdSeq(first.id);
+    var last;
+    var operation;
+    var slot;
+
+    if (series.events && !id.match(series.events)) {
+        return;
+    }
+
+    if (!series.operations.hasOwnProperty(id)) {
+        series.operations[id] = {buckets: {}, changes: {}, count: 0};
+    }
+    operation = series.operations[id];
+    operation.count++;
+
+    function bucket(time) {
+        var key = Math.floor(time / series.interval);
+
+        if (!operation.buckets.hasOwnProperty(key)) {
+            operation.buckets[key] = {
+                starts: 0,
+                completions: 0,
+                stats: stats.createStats()
+            };
+        }
+        return (operation.buckets[key]);
+    }
+
+    function change(key, delta) {
+        operation.changes[key] = (operation.changes[key] || 0) + delta;
+    }
+
+    bucket(first.start).starts++;
+    slot = bucket(first.end);
+    slot.completions++;
+    stats.statsAdd(slot.stats, first.elapsed);
+
+    // In flight from the interval it started in to the last one it was
+    // running in (a request ending right as an interval starts isn't in it)
+    last = Math.max(Math.ceil(first.end / series.interval) - 1,
+        Math.floor(first.start / series.interval));
+    change(Math.floor(first.start / series.interval), 1);
+    change(last + 1, -1);
+
+    if (series.first === null || first.start < series.first) {
+        series.first = first.start;
+    }
+    if (series.last === null || first.end > series.last) {
+        series.last = first.end;
+    }
+}
+
+/*
+ * Returns the time series of the requests added to 'series':
+ *
+ *  {
+ *      interval: <ms>,
+ *      start: <time of the first bucket>,
+ *      operations: [       // most requests first
+ *          {
+ *              id: <top-level id>,
+ *              count: <number of requests>,
+ *              buckets: [  // one per interval from start, empty ones too
+ *                  {
+ *                      time: <start of the interval>,
+ *                      starts: <requests that started>,
+ *                      completions: <requests that ended>,
+ *                      concurrency: <requests in flight at some point
+ *                                    of the interval>,
+ *                      p50: <of the requests that ended, or null>,
+ *                      ...         // and the rest of STATS_PERCENTILES
+ *                  },
+ *                  ...
+ *              ]
+ *          },
+ *          ...
+ *      ]
+ *  }
+ */
+function seriesSummary(series) {
+    var count;
+    var from;
+    var result = {interval: series.interval, start: null, operations: []};
+
+    if (series.first === null) {
+        return (result);
+    }
+
+    from = Math.floor(series.first / series.interval);
+    count = Math.floor(series.last / series.interval) - from + 1;
+    result.start = from * series.interval;
+
+    Object.keys(series.operations).forEach(function (id) {
+        var operation = series.operations[id];
+        var buckets = [];
+        var idx;
+        var inflight = 0;
+
+        for (idx = 0; idx < count; idx++) {
+            inflight += (operation.changes[from + idx] || 0);
+            buckets.push(seriesBucket(operation.buckets[from + idx],
+                (from + idx) * series.interval, inflight));
+        }
+
+        result.operations.push({
+            id: id,
+            count: operation.count,
+            buckets: buckets
+        });
+    });
+
+    result.operations.sort(function (a, b) {
+        return (b.count - a.count);
+    });
+
+    return (result);
+}
+
+function seriesBucket(slot, time, concurrency) {
+    var bucket = {
+        time: time,
+        starts: (slot ? slot.starts : 0),
+        completions: (slot ? slot.completions : 0),
+        concurrency: concurrency
+    };
+    var summary = null;
+
+    if (slot && slot.completions > 0) {
+        summary = stats.statsSummary(slot.stats);
+    }
+    stats.STATS_PERCENTILES.forEach(function (pct) {
+        bucket['p' + pct] = (summary ? summary['p' + pct] : null);
+    });
+
+    return (bucket);
+}
+
+module.exports = {
+    createSeries: createSeries,
+    seriesAddRequest: seriesAddRequest,
+    seriesSummary: seriesSummary
+};
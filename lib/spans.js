@@ -0,0 +1,422 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * The span tree of a request (see buildSpanTree()) and walking it.
+ */
+
+// A run of siblings has to repeat at least this many times to be a loop (see
+// findLoops()), and a loop can have up to this many siblings in each repeat.
+var LOOP_MIN_REPEATS = 3;
+var LOOP_MAX_PERIOD = 3;
+
+/*
+ * Call span_cb(span) for each span in the tree(s) under 'spans', parents
+ * before their children.
+ */
+function walkSpans(spans, span_cb) {
+    spans.forEach(function (span) {
+        span_cb(span);
+        walkSpans(span.children, span_cb);
+    });
+}
+
+/*
+ * Returns how much of the time between 'start' and 'end' is covered by at
+ * least one of 'intervals' (objects with start and end), so that overlapping
+ * intervals are only counted once.
+ */
+function coveredTime(intervals, start, end) {
+    var covered = 0;
+    var cursor = start;
+
+    intervals.map(function (i) {
+        return ({start: Math.max(i.start, start), end: Math.min(i.end, end)});
+    }).filter(function (i) {
+        return (i.end > i.start);
+    }).sort(function (a, b) {
+        return (a.start - b.start);
+    }).forEach(function (i) {
+        if (i.end > cursor) {
+            covered += i.end - Math.max(i.start, cursor);
+            cursor = i.end;
+        }
+    });
+
+    return (covered);
+}
+
+/*
+ * Build a tree of spans from the completed events of one request. Each span's
+ * parent is determined by (in order of preference):
+ *
+ *  - the span whose span_id matches this span's parent_id
+ *  - a span whose stack is the closest prefix of this span's stack (eg.
+ *    a.b is the parent of a.b.c), preferring one that encloses this span
+ *  - the shortest span that encloses this span in time
+ *
+ * Spans with none of these are roots. Returns:
+ *
+ *  {
+ *      roots: [<span>, ...],   // sorted by start, roots[0] is the top-level
+ *      spans: [<span>, ...]    // all spans sorted by start
+ *  }
+ *
+ * where each span is a copy of the event with these added:
+ *
+ *  span.end:       start + elapsed
+ *  span.children:  child spans, sorted by start
+ *  span.parent:    parent span, or null for roots
+ *  span.depth:     0 for roots, parent's depth + 1 otherwise
+ *  span.late:      true if this started after its parent (or, for a root, the
+ *                  top-level span) had ended
+ *  span.self:      exclusive time: elapsed minus the time when at least one
+ *                  of its children was running
+ */
+function buildSpanTree(events) {
+    var byId = {};
+    var byStack = {};
+    var roots = [];
+    var spans;
+
+    spans = events.map(function (evt) {
+        var span = {};
+
+        Object.keys(evt).forEach(function (k) {
+            span[k] = evt[k];
+        });
+        span.end = span.start + span.elapsed;
+        span.children = [];
+        span.parent = null;
+        span.depth = 0;
+        span.late = false;
+
+        return (span);
+    });
+
+    // Earliest first and for the same start, enclosing (longer) spans first.
+    spans.sort(function (a, b) {
+        if (a.start !== b.start) {
+            return (a.start - b.start);
+        }
+        if (a.end !== b.end) {
+            return (b.end - a.end);
+        }
+        return (a.id.length - b.id.length);
+    });
+
+    spans.forEach(function (span) {
+        if (span.span_id) {
+            byId[span.span_id] = span;
+        }
+        if (span.stack) {
+            if (!byStack[span.stack]) {
+                byStack[span.stack] = [];
+            }
+            byStack[span.stack].push(span);
+        }
+    });
+
+    function encloses(a, b) {
+        return (a.start <= b.start && a.end >= b.end);
+    }
+
+    // Of 'candidates', the shortest one that encloses 'span' or failing that
+    // the last one to start before it.
+    function bestOf(candidates, span) {
+        var best = null;
+
+        candidates.forEach(function (c) {
+            if (c === span) {
+                return;
+            }
+            if (encloses(c, span)) {
+                if (!best || !encloses(best, span) || c.elapsed < best.elapsed) {
+                    best = c;
+                }
+            } else if (c.start <= span.start
+                && (!best || (!encloses(best, span) && c.start > best.start))) {
+                best = c;
+            }
+        });
+
+        return (best);
+    }
+
+    function findParent(span, idx) {
+        var candidates;
+        var i;
+        var parent = null;
+        var prefix;
+
+        if (span.parent_id && byId.hasOwnProperty(span.parent_id)
+            && byId[span.parent_id] !== span) {
+
+            return (byId[span.parent_id]);
+        }
+
+        if (span.stack) {
+            prefix = span.stack;
+            while (prefix.lastIndexOf('.') > 0) {
+                prefix = prefix.slice(0, prefix.lastIndexOf('.'));
+                if (byStack.hasOwnProperty(prefix)) {
+                    parent = bestOf(byStack[prefix], span);
+                    if (parent) {
+                        return (parent);
+                    }
+                }
+            }
+        }
+
+        // Only spans sorted before us can enclose us.
+        candidates = [];
+        for (i = idx - 1; i >= 0; i--) {
+            if (encloses(spans[i], span)) {
+                candidates.push(spans[i]);
+            }
+        }
+
+        return (candidates.length > 0 ? bestOf(candidates, span) : null);
+    }
+
+    spans.forEach(function (span, idx) {
+        var parent = findParent(span, idx);
+        var p;
+
+        // Never create a cycle (eg. with bogus parent_ids)
+        for (p = parent; p; p = p.parent) {
+            if (p === span) {
+                parent = null;
+                break;
+            }
+        }
+
+        if (parent) {
+            span.parent = parent;
+            parent.children.push(span);
+        } else {
+            roots.push(span);
+        }
+    });
+
+    walkSpans(roots, function (span) {
+        if (span.parent) {
+            span.depth = span.parent.depth + 1;
+            span.late = (span.start > span.parent.end);
+        } else {
+            span.late = (span.start > roots[0].end);
+        }
+        span.self = span.elapsed - coveredTime(span.children, span.start,
+            span.end);
+    });
+
+    return ({
+        roots: roots,
+        spans: spans
+    });
+}
+
+/*
+ * Walk backwards from the end of 'span' (or 'until' if that's earlier) to its
+ * start, finding the chain of children that the span was waiting on. At each
+ * point the child that finished last is the one that was holding things up,
+ * then we continue from where that child started. Time where no child was
+ * running is the span's own. Appends {span, start, end} segments to 'path' in
+ * reverse time order.
+ */
+function criticalSegments(span, until, path) {
+    var candidates;
+    var cursor = Math.min(span.end, until);
+    var next;
+    var next_end;
+
+    while (cursor > span.start) {
+        candidates = span.children.filter(function (c) {
+            return (c.start < cursor);
+        });
+        if (candidates.length === 0) {
+            break;
+        }
+
+        next = candidates.reduce(function (a, b) {
+            return (Math.min(b.end, cursor) > Math.min(a.end, cursor) ? b : a);
+        });
+        next_end = Math.min(next.end, cursor);
+
+        if (next_end < cursor) {
+            path.push({span: span, start: next_end, end: cursor});
+        }
+        criticalSegments(next, next_end, path);
+        cursor = Math.max(next.start, span.start);
+    }
+
+    if (cursor > span.start) {
+        path.push({span: span, start: span.start, end: cursor});
+    }
+}
+
+/*
+ * Returns the intervals within 'root' where none of its descendants were
+ * running, as [{start, end}, ...].
+ */
+function spanGaps(root) {
+    var busy = [];
+    var cursor = root.start;
+    var gaps = [];
+
+    walkSpans(root.children, function (span) {
+        busy.push(span);
+    });
+    busy.sort(function (a, b) {
+        return (a.start - b.start);
+    });
+
+    busy.forEach(function (span) {
+        if (span.start > cursor) {
+            gaps.push({start: cursor, end: Math.min(span.start, root.end)});
+        }
+        cursor = Math.max(cursor, span.end);
+    });
+    if (cursor < root.end) {
+        gaps.push({start: cursor, end: root.end});
+    }
+
+    return (gaps.filter(function (gap) {
+        return (gap.end > gap.start);
+    }));
+}
+
+/*
+ * Returns how many times the ids of siblings[from, from + period) repeat one
+ * after the other from 'from', each repeat starting after the one before it
+ * has ended.
+ */
+function loopRepeats(siblings, from, period) {
+    var end;
+    var idx;
+    var repeats = 1;
+
+    function repeatEnd(at) {
+        var max = 0;
+
+        for (idx = at; idx < at + period; idx++) {
+            max = Math.max(max, siblings[idx].end);
+        }
+        return (max);
+    }
+
+    if (from + period > siblings.length) {
+        return (0);
+    }
+
+    end = repeatEnd(from);
+    while (from + (repeats + 1) * period <= siblings.length) {
+        for (idx = 0; idx < period; idx++) {
+            if (siblings[from + repeats * period + idx].id
+                !== siblings[from + idx].id) {
+
+                return (repeats);
+            }
+        }
+        if (siblings[from + repeats * period].start < end) {
+            return (repeats);
+        }
+        end = repeatEnd(from + repeats * period);
+        repeats++;
+    }
+
+    return (repeats);
+}
+
+/*
+ * Returns the retry and polling loops in 'tree' (from buildSpanTree()): runs
+ * of siblings where the same ids (one, or a sequence of up to LOOP_MAX_PERIOD)
+ * ran at least LOOP_MIN_REPEATS times in a row, one repeat after the other.
+ * Loops within a loop aren't looked for. Each loop is:
+ *
+ *  {
+ *      id: <ids of one repeat, ', ' separated>,
+ *      parent: <parent span, or null if these are roots>,
+ *      repeats: <number of repeats>,
+ *      spans: [<span>, ...],   // the siblings in the loop
+ *      start: <start of the first>,
+ *      end: <end of the last>,
+ *      total: <elapsed of all the siblings added up>,
+ *      avg: <total / repeats>,
+ *      gap_avg: <average time from the end of one repeat to the next>
+ *  }
+ */
+function findLoops(tree) {
+    var loops = [];
+
+    function search(siblings, parent) {
+        var best;
+        var gaps;
+        var idx = 0;
+        var loop;
+        var period;
+        var repeats;
+
+        while (idx < siblings.length) {
+            best = null;
+            for (period = 1; period <= LOOP_MAX_PERIOD; period++) {
+                repeats = loopRepeats(siblings, idx, period);
+                if (repeats >= LOOP_MIN_REPEATS && (!best
+                    || repeats * period > best.repeats * best.period)) {
+
+                    best = {period: period, repeats: repeats};
+                }
+            }
+
+            if (!best) {
+                search(siblings[idx].children, siblings[idx]);
+                idx++;
+                continue;
+            }
+
+            loop = {
+                id: siblings.slice(idx, idx + best.period).map(function (s) {
+                    return (s.id);
+                }).join(', '),
+                parent: parent,
+                repeats: best.repeats,
+                spans: siblings.slice(idx, idx + best.period * best.repeats),
+                total: 0
+            };
+            loop.start = loop.spans[0].start;
+            loop.end = loop.start;
+            gaps = 0;
+            loop.spans.forEach(function (span, n) {
+                // from the end of the last repeat to the start of this one
+                if (n > 0 && n % best.period === 0) {
+                    gaps += span.start - loop.end;
+                }
+                loop.end = Math.max(loop.end, span.end);
+                loop.total += span.elapsed;
+            });
+            loop.avg = Math.round(loop.total / loop.repeats);
+            loop.gap_avg = Math.round(gaps / (loop.repeats - 1));
+            loops.push(loop);
+
+            idx += best.period * best.repeats;
+        }
+    }
+
+    search(tree.roots, null);
+
+    return (loops);
+}
+
+module.exports = {
+    buildSpanTree: buildSpanTree,
+    coveredTime: coveredTime,
+    criticalSegments: criticalSegments,
+    findLoops: findLoops,
+    spanGaps: spanGaps,
+    walkSpans: walkSpans
+};
@@ -0,0 +1,201 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Streaming latency statistics (see createStats()).
+ */
+
+// Relative accuracy of the percentiles in the report (see createStats())
+var STATS_ACCURACY = 0.01;
+var STATS_GAMMA = (1 + STATS_ACCURACY) / (1 - STATS_ACCURACY);
+var STATS_PERCENTILES = [50, 90, 95, 99, 99.9];
+
+/*
+ * Streaming summary statistics for a set of values (latencies in ms), used so
+ * that the report doesn't need to keep every value around. Besides count, sum
+ * and min/max, values are counted in logarithmic bins where each bin's upper
+ * bound is STATS_GAMMA times its lower bound. Any value in a bin is then
+ * within STATS_ACCURACY of the bin's midpoint, which is what
+ * statsPercentiles() returns. For the report's histogram, values are also
+ * counted in power-of-two buckets.
+ */
+function createStats() {
+    return ({
+        bins: {},
+        count: 0,
+        max: null,
+        min: null,
+        pow2: {},
+        sum: 0,
+        sumsq: 0,
+        zeros: 0
+    });
+}
+
+function statsAdd(stats, value) {
+    var bin;
+    var bucket = 0;
+
+    stats.count++;
+    stats.sum += value;
+    stats.sumsq += value * value;
+    if (stats.min === null || value < stats.min) {
+        stats.min = value;
+    }
+    if (stats.max === null || value > stats.max) {
+        stats.max = value;
+    }
+
+    if (value <= 0) {
+        stats.zeros++;
+    } else {
+        bin = Math.ceil(Math.log(value) / Math.log(STATS_GAMMA));
+        stats.bins[bin] = (stats.bins[bin] || 0) + 1;
+    }
+
+    while (value >= Math.pow(2, bucket)) {
+        bucket++;
+    }
+    bucket = Math.pow(2, bucket);
+    stats.pow2[bucket] = (stats.pow2[bucket] || 0) + 1;
+}
+
+/*
+ * Add everything counted in 'from' to 'into'.
+ */
+function statsMerge(into, from) {
+    into.count += from.count;
+    into.sum += from.sum;
+    into.sumsq += from.sumsq;
+    into.zeros += from.zeros;
+    if (from.min !== null && (into.min === null || from.min < into.min)) {
+        into.min = from.min;
+    }
+    if (from.max !== null && (into.max === null || from.max > into.max)) {
+        into.max = from.max;
+    }
+    Object.keys(from.bins).forEach(function (bin) {
+        into.bins[bin] = (into.bins[bin] || 0) + from.bins[bin];
+    });
+    Object.keys(from.pow2).forEach(function (bucket) {
+        into.pow2[bucket] = (into.pow2[bucket] || 0) + from.pow2[bucket];
+    });
+}
+
+/*
+ * Returns an array with the value at each of the 'percentiles' (eg. [50, 99])
+ * using the nearest-rank method.
+ */
+function statsPercentiles(stats, percentiles) {
+    var bins = Object.keys(stats.bins).map(Number).sort(function (a, b) {
+        return (a - b);
+    });
+
+    return (percentiles.map(function (pct) {
+        var idx;
+        var rank = Math.max(1, Math.ceil((pct / 100) * stats.count));
+        var seen = stats.zeros;
+        var value;
+
+        if (stats.count === 0) {
+            return (null);
+        }
+        if (rank >= stats.count) {
+            return (stats.max);
+        }
+        if (rank <= seen) {
+            return (0);
+        }
+
+        for (idx = 0; idx < bins.length; idx++) {
+            seen += stats.bins[bins[idx]];
+            if (seen >= rank) {
+                break;
+            }
+        }
+
+        value = 2 * Math.pow(STATS_GAMMA, bins[idx]) / (STATS_GAMMA + 1);
+        value = Math.min(Math.max(value, stats.min), stats.max);
+
+        return (Math.round(value));
+    }));
+}
+
+/*
+ * Returns an object with count, min, max, mean and stddev and the
+ * STATS_PERCENTILES (as p50, p90, ... p99.9) of 'stats'.
+ */
+function statsSummary(stats) {
+    var mean = (stats.count > 0 ? stats.sum / stats.count : 0);
+    var summary;
+    var variance;
+
+    variance = (stats.count > 0 ? (stats.sumsq / stats.count) - (mean * mean)
+        : 0);
+
+    summary = {
+        count: stats.count,
+        min: stats.min,
+        max: stats.max,
+        mean: Math.floor(mean * 100) / 100,
+        stddev: Math.round(Math.sqrt(Math.max(variance, 0)) * 100) / 100
+    };
+
+    statsPercentiles(stats, STATS_PERCENTILES).forEach(function (value, idx) {
+        summary['p' + STATS_PERCENTILES[idx]] = value;
+    });
+
+    return (summary);
+}
+
+/*
+ * Takes the power-of-two bucket counts from 'stats' and returns them with
+ * empty buckets filled in between (and one on either side of) the used ones,
+ * plus max_count: the largest count in any bucket.
+ */
+function powerOfTwoBuckets(stats) {
+    var buckets = {max_count: 0};
+    var max;
+    var min;
+
+    Object.keys(stats.pow2).forEach(function (b) {
+        var bucket_value = Number(b);
+
+        if (min === undefined || bucket_value < min) {
+            min = bucket_value;
+        }
+        if (max === undefined || bucket_value > max) {
+            max = bucket_value;
+        }
+
+        buckets[bucket_value] = stats.pow2[b];
+        if (buckets[bucket_value] > buckets.max_count) {
+            buckets.max_count = buckets[bucket_value];
+        }
+    });
+
+    for (var i = (min / 2); i <= (max * 2); i = i * 2) {
+        if (i > 0) {
+            if (!buckets.hasOwnProperty(i)) {
+                buckets[i] = 0;
+            }
+        }
+    }
+
+    return (buckets);
+}
+
+module.exports = {
+    STATS_PERCENTILES: STATS_PERCENTILES,
+    createStats: createStats,
+    powerOfTwoBuckets: powerOfTwoBuckets,
+    statsAdd: statsAdd,
+    statsMerge: statsMerge,
+    statsPercentiles: statsPercentiles,
+    statsSummary: statsSummary
+};
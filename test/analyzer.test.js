@@ -0,0 +1,321 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+var test = require('tape');
+
+var Analyzer = require('../lib/analyzer').Analyzer;
+var evttool = require('../lib/index');
+
+var line = 0;
+
+function evt(req_id, id, phase, time, hostname) {
+    line++;
+    return ({
+        file: 'test.log',
+        hostname: (hostname || 'headnode'),
+        id: id,
+        line: line,
+        phase: phase,
+        pid: 1,
+        req_id: req_id,
+        time: time
+    });
+}
+
+test('pairs begins with ends', function (t) {
+    var analyzer = new Analyzer();
+    var spans = [];
+
+    analyzer.on('span', function (span) {
+        spans.push(span);
+    });
+
+    analyzer.write(evt('r1', 'vmapi.createvm', 'begin', 1000));
+    analyzer.write(evt('r1', 'cnapi.getjob.1', 'begin', 1010));
+    analyzer.write(evt('r2', 'vmapi.createvm', 'begin', 1020));
+    analyzer.write(evt('r1', 'cnapi.getjob.1', 'end', 1030));
+    analyzer.write(evt('r2', 'vmapi.createvm', 'end', 1100));
+    analyzer.write(evt('r1', 'vmapi.createvm', 'end', 1200));
+    analyzer.end();
+
+    t.deepEqual(spans.map(function (span) {
+        return ([span.req_id, span.id, span.start, span.elapsed]);
+    }), [
+        ['r1', 'cnapi.getjob', 1010, 20],
+        ['r2', 'vmapi.createvm', 1020, 80],
+        ['r1', 'vmapi.createvm', 1000, 200]
+    ]);
+    t.deepEqual(Object.keys(analyzer.requests).sort(), ['r1', 'r2']);
+    t.equal(analyzer.requests.r1.length, 2);
+    t.deepEqual(analyzer.open, {});
+    t.equal(analyzer.latestTime, 1200);
+
+    t.end();
+});
+
+test('the same id on different hosts is a different span', function (t) {
+    var analyzer = new Analyzer();
+
+    analyzer.write(evt('r1', 'cn-agent.machine_create', 'begin', 0, 'cn1'));
+    analyzer.write(evt('r1', 'cn-agent.machine_create', 'begin', 5, 'cn2'));
+    analyzer.write(evt('r1', 'cn-agent.machine_create', 'end', 10, 'cn2'));
+    analyzer.write(evt('r1', 'cn-agent.machine_create', 'end', 50, 'cn1'));
+    analyzer.end();
+
+    t.deepEqual(analyzer.requests.r1.map(function (span) {
+        return ([span.hostname, span.elapsed]);
+    }), [['cn2', 5], ['cn1', 50]]);
+
+    t.end();
+});
+
+test('filtered spans are still paired', function (t) {
+    var analyzer = new Analyzer({filter: function (e) {
+        return (e.id.indexOf('cnapi') === 0);
+    }});
+
+    analyzer.write(evt('r1', 'vmapi.getvm', 'begin', 0));
+    analyzer.write(evt('r1', 'cnapi.getjob', 'begin', 5));
+    analyzer.write(evt('r1', 'cnapi.getjob', 'end', 10));
+    analyzer.write(evt('r1', 'vmapi.getvm', 'end', 20));
+    analyzer.end();
+
+    t.deepEqual(analyzer.requests.r1.map(function (span) {
+        return (span.id);
+    }), ['cnapi.getjob']);
+    t.deepEqual(analyzer.orphanEnds, {});
+
+    t.end();
+});
+
+test('emits each request on end, then finish', function (t) {
+    var analyzer = new Analyzer({keep: false});
+    var emitted = [];
+
+    analyzer.on('request', function (req_id, spans, forced) {
+        emitted.push([req_id, spans.length, forced]);
+    });
+    analyzer.on('finish', function () {
+        emitted.push('finish');
+    });
+
+    analyzer.write(evt('r1', 'vmapi.getvm', 'begin', 0));
+    analyzer.write(evt('r1', 'vmapi.getvm', 'end', 10));
+    analyzer.end();
+
+    // without keep, there are no spans to emit
+    t.deepEqual(emitted, ['finish']);
+    t.deepEqual(analyzer.requests, {});
+
+    t.end();
+});
+
+test('parser piped into analyzer', function (t) {
+    var analyzer = new evttool.Analyzer();
+    var parser = new evttool.EvtParser({file: 'vmapi.log'});
+    var trees = {};
+
+    analyzer.on('request', function (req_id, spans) {
+        trees[req_id] = evttool.buildSpanTree(spans);
+    });
+    analyzer.on('finish', function () {
+        t.deepEqual(Object.keys(trees), ['r1']);
+        t.equal(trees.r1.roots.length, 1);
+        t.equal(trees.r1.roots[0].id, 'vmapi.createvm');
+        t.equal(trees.r1.roots[0].children[0].id, 'vmapi.getvm');
+        t.equal(trees.r1.roots[0].children[0].elapsed, 50);
+        t.end();
+    });
+
+    parser.pipe(analyzer);
+    parser.end([
+        ['b', 'createvm', '00.000'],
+        ['b', 'getvm', '00.100'],
+        ['e', 'getvm', '00.150'],
+        ['e', 'createvm', '01.000']
+    ].map(function (e) {
+        return (JSON.stringify({
+            name: 'vmapi',
+            hostname: 'headnode',
+            req_id: 'r1',
+            time: '2015-04-22T10:00:' + e[2] + 'Z',
+            evt: {ph: e[0], name: e[1]}
+        }));
+    }).join('\n') + '\n');
+});
+
+test('malformed records piped from a parser', function (t) {
+    var analyzer = new Analyzer();
+    var parser = new evttool.EvtParser({file: 'bad.log'});
+
+    analyzer.on('finish', function () {
+        t.deepEqual(Object.keys(analyzer.requests), ['r1']);
+        t.equal(analyzer.requests.r1[0].elapsed, 250);
+        t.deepEqual(Object.keys(parser.skipped).sort(), ['invalid time',
+            'missing name', 'not JSON', 'truncated JSON']);
+        t.end();
+    });
+
+    parser.pipe(analyzer);
+    parser.end([
+        '{"name": "vmapi", "hostname": "h", "req_id": "r1", "time": '
+            + '"2015-04-22T10:00:00.000Z", "evt": {"ph": "b", '
+            + '"name": "getvm"}}',
+        'not a record',
+        '{"name": "vmapi", "hostname": "h", "req_id": "r1", "time": '
+            + '"whenever", "evt": {"ph": "b", "name": "getvm"}}',
+        '{"hostname": "h", "req_id": "r1", "time": '
+            + '"2015-04-22T10:00:00.100Z", "evt": {"ph": "b", "name": "x"}}',
+        '{"name": "vmapi", "hostname": "h", "req_id": "r1", "time": '
+            + '"2015-04-22T10:00:00.250Z", "evt": {"ph": "e", '
+            + '"name": "getvm"}}',
+        '{"name": "vmapi", "hostname": "h", "req_id": "r1", "ti'
+    ].join('\n'));
+});
+
+test('orphan ends and duplicate begins', function (t) {
+    var analyzer = new Analyzer();
+    var duplicates = [];
+    var orphans = [];
+
+    analyzer.on('orphan', function (e) {
+        orphans.push(e);
+    });
+    analyzer.on('duplicate', function (e, first) {
+        duplicates.push([e.line, first.line]);
+    });
+
+    analyzer.write(evt('r1', 'vmapi.getvm', 'end', 10));
+    analyzer.write(evt('r2', 'vmapi.getvm', 'end', 20));
+    analyzer.write(evt('r1', 'cnapi.getjob', 'begin', 30));
+    analyzer.write(evt('r1', 'cnapi.getjob', 'begin', 40));
+    analyzer.write(evt('r1', 'cnapi.getjob', 'end', 50));
+    analyzer.end();
+
+    t.equal(orphans.length, 2);
+    t.deepEqual(analyzer.orphanEnds, {
+        'vmapi.getvm headnode': {
+            count: 2,
+            first: orphans[0].file + ':' + orphans[0].line,
+            hostname: 'headnode',
+            id: 'vmapi.getvm',
+            req_id: 'r1'
+        }
+    });
+    t.equal(duplicates.length, 1);
+    t.equal(duplicates[0][0], duplicates[0][1] + 1);
+    t.equal(analyzer.duplicateBegins['cnapi.getjob headnode'].count, 1);
+    // paired with the first begin
+    t.equal(analyzer.requests.r1[0].elapsed, 20);
+    t.notOk(analyzer.requests.r2, 'orphans are not spans');
+
+    t.end();
+});
+
+test('kept fields from the begin and the end', function (t) {
+    var analyzer = new Analyzer();
+    var begin = evt('r1', 'vmapi.getvm', 'begin', 0);
+    var end = evt('r1', 'vmapi.getvm', 'end', 10);
+
+    begin.fields = {image_uuid: 'i1', status: 'pending'};
+    end.fields = {status: 'done'};
+    analyzer.write(begin);
+    analyzer.write(end);
+    analyzer.end();
+
+    t.deepEqual(analyzer.requests.r1[0].fields,
+        {image_uuid: 'i1', status: 'done'}, 'the end wins');
+    t.end();
+});
+
+test('with grace, requests are finished once idle', function (t) {
+    var analyzer = new Analyzer({grace: 1000});
+    var finished = [];
+    var report;
+
+    analyzer.on('request', function (req_id, spans, forced) {
+        finished.push([req_id, spans.length, forced, analyzer.latestTime]);
+    });
+
+    analyzer.write(evt('r1', 'vmapi.getvm', 'begin', 0));
+    analyzer.write(evt('r1', 'vmapi.getvm', 'end', 100));
+    analyzer.write(evt('r2', 'vmapi.createvm', 'begin', 200));
+    // r2 is still open, so only r1 is finished
+    analyzer.write(evt('r2', 'vmapi.getvm', 'begin', 5000));
+    analyzer.write(evt('r2', 'vmapi.getvm', 'end', 5010));
+    t.deepEqual(finished, [['r1', 1, false, 5000]]);
+    t.notOk(analyzer.requests.r1, 'finished requests are forgotten');
+
+    analyzer.write(evt('r2', 'vmapi.createvm', 'end', 6000));
+    analyzer.end();
+    t.deepEqual(finished, [['r1', 1, false, 5000], ['r2', 2, false, 6000]]);
+
+    report = analyzer.report();
+    t.equal(report.operations.length, 2);
+    t.equal(report.force_closed, 0);
+    t.equal(report.late_events, 0);
+
+    t.end();
+});
+
+test('with grace, events after their request finished are late', function (t) {
+    var analyzer = new Analyzer({grace: 1000});
+    var late = [];
+    var requests = [];
+
+    analyzer.on('late', function (e) {
+        late.push(e.id);
+    });
+    analyzer.on('request', function (req_id) {
+        requests.push(req_id);
+    });
+
+    analyzer.write(evt('r1', 'cloudapi.getvm', 'begin', 0));
+    analyzer.write(evt('r1', 'cloudapi.getvm', 'end', 100));
+    analyzer.write(evt('r2', 'cloudapi.getvm', 'begin', 5000));
+    analyzer.write(evt('r2', 'cloudapi.getvm', 'end', 5100));
+    analyzer.write(evt('r1', 'vmapi.getvm', 'begin', 6000));
+    analyzer.write(evt('r1', 'vmapi.getvm', 'end', 6050));
+    analyzer.end();
+
+    t.deepEqual(requests, ['r1', 'r2']);
+    t.deepEqual(late, ['vmapi.getvm', 'vmapi.getvm']);
+    t.equal(analyzer.lateEvents, 2);
+    t.equal(analyzer.report().late_events, 2);
+    t.deepEqual(analyzer.report().operations.map(function (op) {
+        return ([op.id, op.stats.count]);
+    }), [['cloudapi.getvm', 2]]);
+
+    t.end();
+});
+
+test('with maxRequests, the least recently active are force-closed',
+    function (t) {
+
+    var analyzer = new Analyzer({grace: 60000, maxRequests: 1});
+    var finished = [];
+
+    analyzer.on('request', function (req_id, spans, forced) {
+        finished.push([req_id, forced]);
+    });
+
+    analyzer.write(evt('r1', 'vmapi.createvm', 'begin', 0));
+    analyzer.write(evt('r1', 'cnapi.getjob', 'begin', 10));
+    analyzer.write(evt('r1', 'cnapi.getjob', 'end', 20));
+    analyzer.write(evt('r2', 'vmapi.createvm', 'begin', 500));
+    analyzer.write(evt('r2', 'vmapi.createvm', 'end', 2000));
+    t.deepEqual(finished, [['r1', true]]);
+    t.equal(analyzer.forceClosed, 1);
+    t.deepEqual(Object.keys(analyzer.open), [], 'open events are forgotten');
+
+    analyzer.end();
+    t.deepEqual(finished, [['r1', true], ['r2', false]]);
+    t.equal(analyzer.report().force_closed, 1);
+
+    t.end();
+});
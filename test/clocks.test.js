@@ -0,0 +1,83 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+var test = require('tape');
+
+var clocks = require('../lib/clocks');
+
+/*
+ * 20 requests, each a headnode span of 1000ms with two children that really
+ * ran 200ms somewhere within it: one on headnode and one on 'child_host',
+ * whose clock is 'skew' ms ahead.
+ */
+function requests(child_host, skew) {
+    var i;
+    var reqs = {};
+    var start;
+
+    for (i = 0; i < 20; i++) {
+        start = i * 10000;
+        reqs['r' + i] = [
+            {id: 'vmapi.createvm', hostname: 'headnode', span_id: 'p' + i,
+                start: start, elapsed: 1000},
+            {id: 'vmapi.getvm', hostname: 'headnode', parent_id: 'p' + i,
+                start: start + 50, elapsed: 200},
+            {id: 'cn-agent.machine_create', hostname: child_host,
+                parent_id: 'p' + i, start: start + 100 + (i * 30) + skew,
+                elapsed: 200}
+        ];
+    }
+
+    return (reqs);
+}
+
+function host(result, hostname) {
+    return (result.hosts.filter(function (h) {
+        return (h.hostname === hostname);
+    })[0]);
+}
+
+test('clocks that agree', function (t) {
+    var result = clocks.estimateClocks(requests('cn1', 0));
+
+    t.equal(result.reference, 'headnode', 'the host with the most spans');
+    t.deepEqual(result.hosts.map(function (h) {
+        return ([h.hostname, h.offset]);
+    }), [['cn1', 0], ['headnode', 0]]);
+    t.equal(host(result, 'cn1').via, 'headnode');
+    t.equal(host(result, 'cn1').samples, 20);
+    t.equal(host(result, 'cn1').violations, 0);
+    t.ok(host(result, 'cn1').min <= 0 && host(result, 'cn1').max >= 0);
+    t.end();
+});
+
+test('a host whose clock is ahead', function (t) {
+    var reqs = requests('cn1', 5000);
+    var cn1;
+    var result = clocks.estimateClocks(reqs);
+
+    cn1 = host(result, 'cn1');
+    t.ok(cn1.consistent);
+    t.equal(cn1.violations, 20, 'no child fit as logged');
+    t.ok(cn1.min <= -5000 && cn1.max >= -5000,
+        '-5000 is within ' + cn1.min + '..' + cn1.max);
+    t.ok(Math.abs(cn1.offset + 5000) <= 100, 'offset ' + cn1.offset);
+    t.equal(host(result, 'headnode').offset, 0);
+
+    clocks.correctClocks(reqs, result);
+    t.equal(reqs.r0[2].start, 100 + 5000 + cn1.offset);
+    t.equal(reqs.r0[0].start, 0, 'the reference is not moved');
+    t.equal(host(clocks.estimateClocks(reqs), 'cn1').violations, 0,
+        'nothing left to correct');
+    t.end();
+});
+
+test('no requests', function (t) {
+    t.deepEqual(clocks.estimateClocks({}), {reference: null, hosts: []});
+    t.end();
+});
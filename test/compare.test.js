@@ -0,0 +1,106 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+var test = require('tape');
+
+var compare = require('../lib/compare');
+var stats = require('../lib/stats');
+
+function summaryOf(values) {
+    var s = stats.createStats();
+
+    values.forEach(function (value) {
+        stats.statsAdd(s, value);
+    });
+
+    return (stats.statsSummary(s));
+}
+
+// 'count' values spread evenly around 'mean'
+function around(mean, count) {
+    var idx;
+    var values = [];
+
+    for (idx = 0; idx < count; idx++) {
+        values.push(mean - 10 + (20 * idx / (count - 1)));
+    }
+
+    return (values);
+}
+
+test('welchPValue', function (t) {
+    var base = summaryOf(around(100, 50));
+
+    t.equal(compare.welchPValue(base, summaryOf([100])), null,
+        'too few values');
+    t.equal(compare.welchPValue(null, base), null);
+    t.ok(compare.welchPValue(base, summaryOf(around(150, 50))) < 0.001,
+        'much slower is significant');
+    t.ok(compare.welchPValue(base, summaryOf(around(101, 50))) > 0.05,
+        'slightly slower is not');
+    t.ok(compare.welchPValue(base, summaryOf(around(50, 50))) > 0.999,
+        'faster is not a slowdown');
+    t.equal(compare.welchPValue(summaryOf([5, 5]), summaryOf([6, 6])), 0);
+    t.equal(compare.welchPValue(summaryOf([5, 5]), summaryOf([5, 5])), 1);
+
+    t.end();
+});
+
+test('compareReports', function (t) {
+    var baseline = {operations: [
+        {id: 'vmapi.createvm', stats: summaryOf(around(1000, 50)), events: [
+            {id: 'cnapi.getjob', stats: summaryOf(around(100, 50))},
+            {id: 'imgapi.getimage', stats: summaryOf(around(20, 10))}
+        ]}
+    ]};
+    var candidate = {operations: [
+        {id: 'vmapi.createvm', stats: summaryOf(around(1500, 60)), events: [
+            {id: 'cnapi.getjob', stats: summaryOf(around(101, 50))},
+            {id: 'cn-agent.machine_create',
+                stats: summaryOf(around(400, 60))}
+        ]},
+        {id: 'vmapi.getvm', stats: summaryOf(around(10, 5)), events: []}
+    ]};
+    var rows = compare.compareReports(baseline, candidate, 10);
+
+    t.deepEqual(rows.map(function (row) {
+        return ([row.operation, row.event, row.count_change, row.regression]);
+    }), [
+        ['vmapi.createvm', null, 10, true],
+        ['vmapi.createvm', 'cnapi.getjob', 0, false],
+        ['vmapi.createvm', 'cn-agent.machine_create', 60, false],
+        ['vmapi.createvm', 'imgapi.getimage', -10, false],
+        ['vmapi.getvm', null, 5, false]
+    ]);
+    // p50s are only accurate to 1%
+    t.ok(Math.abs(rows[0].p50_change_pct - 50) < 2);
+    t.ok(rows[0].significant);
+    t.equal(rows[2].baseline, null, 'new in the candidate');
+    t.equal(rows[2].p_value, null);
+    t.equal(rows[3].candidate, null, 'gone from the candidate');
+
+    t.end();
+});
+
+test('compareReports threshold', function (t) {
+    var baseline = {operations: [
+        {id: 'a', stats: summaryOf(around(100, 200)), events: []}
+    ]};
+    var candidate = {operations: [
+        {id: 'a', stats: summaryOf(around(105, 200)), events: []}
+    ]};
+    var row;
+
+    row = compare.compareReports(baseline, candidate, 10)[0];
+    t.ok(row.significant);
+    t.notOk(row.regression, 'a 5% slowdown is under the threshold');
+    row = compare.compareReports(baseline, candidate, 2)[0];
+    t.ok(row.regression);
+
+    t.end();
+});
@@ -0,0 +1,421 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+/*
+ * Tests of the evttool command itself, run on the logs in test/data.
+ */
+
+var child_process = require('child_process');
+var fs = require('fs');
+var http = require('http');
+var os = require('os');
+var path = require('path');
+var test = require('tape');
+
+var EVTTOOL = path.join(__dirname, '..', 'evttool.js');
+
+function data(name) {
+    return (path.join(__dirname, 'data', name));
+}
+
+function tmpFile(name) {
+    return (path.join(os.tmpdir(), 'evttool-test.' + process.pid + '.' + name));
+}
+
+/*
+ * Run evttool with 'args' and call callback(code, stdout, stderr).
+ */
+function evttool(args, callback) {
+    child_process.execFile(process.execPath, [EVTTOOL].concat(args),
+        function (err, stdout, stderr) {
+
+        callback((err ? err.code : 0), stdout, stderr);
+    });
+}
+
+test('malformed lines are skipped', function (t) {
+    evttool([data('bad.log')], function (code, stdout, stderr) {
+        var evts = stdout.split('\n').filter(function (line) {
+            return (line.charAt(0) === '{');
+        }).map(JSON.parse);
+
+        t.equal(code, 0);
+        t.deepEqual(evts.map(function (evt) {
+            return ([evt.phase, evt.line]);
+        }), [['begin', 1], ['end', 4]]);
+        t.ok(stderr.indexOf('1 missing name (first at ' + data('bad.log')
+            + ':3)') !== -1, 'missing name');
+        t.ok(stderr.indexOf('1 not JSON') !== -1, 'not JSON');
+        t.ok(stderr.indexOf('1 truncated JSON') !== -1, 'truncated JSON');
+        t.end();
+    });
+});
+
+test('--strict stops at the first malformed line', function (t) {
+    evttool(['--strict', data('bad.log')], function (code, stdout, stderr) {
+        t.equal(code, 1);
+        t.ok(stderr.indexOf(data('bad.log') + ':2: ') !== -1, stderr);
+        t.end();
+    });
+});
+
+test('--trace puts overlapping requests on separate lanes', function (t) {
+    evttool(['--trace', '-', data('concurrent.log')], function (code, stdout) {
+        var events = JSON.parse(stdout).traceEvents;
+        var overlaps = [];
+        var slices = events.filter(function (e) {
+            return (e.ph === 'X');
+        });
+        var threads = {};
+
+        t.equal(code, 0);
+        t.deepEqual(slices.map(function (e) {
+            return ([e.args.req_id, e.name, e.tid]);
+        }), [
+            ['r1', 'vmapi.createvm', 1],
+            ['r1', 'vmapi.getvm', 1],
+            ['r2', 'vmapi.createvm', 2],
+            ['r2', 'vmapi.getvm', 2],
+            ['r3', 'vmapi.createvm', 1]
+        ]);
+        events.filter(function (e) {
+            return (e.name === 'thread_name');
+        }).forEach(function (e) {
+            threads[e.tid] = e.args.name;
+        });
+        t.deepEqual(threads, {1: 'pid 7', 2: 'pid 7 #2'});
+
+        // slices on one thread must nest or not overlap at all
+        slices.forEach(function (a) {
+            slices.forEach(function (b) {
+                if (a.tid === b.tid && a.ts < b.ts && b.ts < a.ts + a.dur
+                    && b.ts + b.dur > a.ts + a.dur) {
+
+                    overlaps.push([a.args.req_id, b.args.req_id]);
+                }
+            });
+        });
+        t.deepEqual(overlaps, []);
+        t.end();
+    });
+});
+
+test('--zipkin', function (t) {
+    evttool(['--zipkin', '-', data('concurrent.log')], function (code, stdout) {
+        var spans = JSON.parse(stdout);
+
+        t.equal(code, 0);
+        t.equal(spans.length, 5);
+        t.deepEqual(spans[1], {
+            traceId: spans[0].traceId,
+            id: spans[1].id,
+            parentId: spans[0].id,
+            name: 'vmapi.getvm',
+            timestamp: 1429696800010000,
+            duration: 30000,
+            localEndpoint: {serviceName: 'vmapi'},
+            tags: {hostname: 'headnode', req_id: 'r1'}
+        });
+        t.ok(spans[1].id.match(/^[0-9a-f]{16}$/));
+        t.ok(spans[0].traceId.match(/^[0-9a-f]{32}$/));
+        t.notEqual(spans[2].traceId, spans[0].traceId, 'a trace per req_id');
+        t.end();
+    });
+});
+
+test('--otlp', function (t) {
+    evttool(['--otlp', '-', data('concurrent.log')], function (code, stdout) {
+        var lines = stdout.trim().split('\n');
+        var resource;
+        var spans;
+
+        t.equal(code, 0);
+        t.equal(lines.length, 1, 'one request per line');
+        resource = JSON.parse(lines[0]).resourceSpans[0];
+        t.deepEqual(resource.resource.attributes, [
+            {key: 'service.name', value: {stringValue: 'vmapi'}},
+            {key: 'host.name', value: {stringValue: 'headnode'}}
+        ]);
+        spans = resource.scopeSpans[0].spans;
+        t.equal(spans.length, 5);
+        t.equal(spans[1].parentSpanId, spans[0].spanId);
+        t.equal(spans[1].startTimeUnixNano, '1429696800010000000');
+        t.equal(spans[1].endTimeUnixNano, '1429696800040000000');
+        t.deepEqual(spans[1].attributes, [
+            {key: 'req_id', value: {stringValue: 'r1'}}
+        ]);
+        t.end();
+    });
+});
+
+test('--otlp to a collector', function (t) {
+    var bodies = [];
+    var server = http.createServer(function (req, res) {
+        var body = '';
+
+        req.setEncoding('utf8');
+        req.on('data', function (chunk) {
+            body += chunk;
+        });
+        req.on('end', function () {
+            bodies.push([req.method, req.url, JSON.parse(body)]);
+            res.end('{}');
+        });
+    });
+
+    server.listen(0, '127.0.0.1', function () {
+        var url = 'http://127.0.0.1:' + server.address().port + '/v1/traces';
+
+        evttool(['--otlp', url, data('concurrent.log')], function (code) {
+            server.close();
+            t.equal(code, 0);
+            t.equal(bodies.length, 1);
+            t.equal(bodies[0][0], 'POST');
+            t.equal(bodies[0][1], '/v1/traces');
+            t.equal(bodies[0][2].resourceSpans[0].scopeSpans[0].spans.length,
+                5);
+            t.end();
+        });
+    });
+});
+
+test('-r -o json', function (t) {
+    evttool(['-r', '-o', 'json', data('concurrent.log')],
+        function (code, stdout) {
+
+        var report = JSON.parse(stdout);
+        var op = report.operations[0];
+
+        t.equal(code, 0);
+        t.equal(report.operations.length, 1);
+        t.equal(op.id, 'vmapi.createvm');
+        t.equal(op.count, 3);
+        t.deepEqual(op.stats, {count: 3, min: 50, max: 100, mean: 83.33,
+            stddev: 23.57, p50: 100, p90: 100, p95: 100, p99: 100,
+            'p99.9': 100});
+        t.deepEqual(op.events.map(function (evt) {
+            return ([evt.id, evt.stats.count]);
+        }), [['vmapi.createvm', 3], ['vmapi.getvm', 2]]);
+        t.deepEqual(op.events[1].buckets.filter(function (b) {
+            return (b.count > 0);
+        }), [{value: 32, count: 1}, {value: 64, count: 1}]);
+        t.end();
+    });
+});
+
+test('-r -o csv', function (t) {
+    evttool(['-r', '-o', 'csv', data('concurrent.log')],
+        function (code, stdout) {
+
+        var rows = stdout.trim().split('\n').map(function (line) {
+            return (line.split(','));
+        });
+        var header = rows.shift();
+        var operation;
+
+        t.equal(code, 0);
+        t.deepEqual(header.slice(0, 6), ['type', 'operation', 'event',
+            'req_id', 'bucket', 'count']);
+        rows.forEach(function (row) {
+            t.equal(row.length, header.length, row[0] + ' row');
+        });
+        operation = rows.filter(function (row) {
+            return (row[0] === 'operation');
+        });
+        t.equal(operation.length, 1);
+        t.equal(operation[0][header.indexOf('operation')], 'vmapi.createvm');
+        t.equal(operation[0][header.indexOf('count')], '3');
+        t.equal(operation[0][header.indexOf('p50')], '100');
+        t.equal(operation[0][header.indexOf('mean')], '83.33');
+        t.end();
+    });
+});
+
+test('--compare exits 2 on regressions', function (t) {
+    evttool(['-c', data('compare-base.log'), data('compare-cand.log')],
+        function (code, stdout) {
+
+        t.equal(code, 2);
+        t.ok(stdout.match(/^vmapi\.getvm .* REGRESSION$/m), 'regression row');
+        t.ok(stdout.indexOf('2 regression(s) past 10%') !== -1);
+        t.end();
+    });
+});
+
+test('--compare of the same capture exits 0', function (t) {
+    evttool(['-c', data('compare-base.log'), data('compare-base.log')],
+        function (code, stdout) {
+
+        t.equal(code, 0);
+        t.equal(stdout.indexOf('REGRESSION'), -1);
+        t.end();
+    });
+});
+
+test('--compare writes all of --trace before exiting 2', function (t) {
+    var file = tmpFile('trace.json');
+
+    evttool(['-c', data('compare-base.log'), '--trace', file,
+        data('compare-cand.log')], function (code) {
+
+        var events = JSON.parse(fs.readFileSync(file, 'utf8')).traceEvents;
+
+        fs.unlinkSync(file);
+        t.equal(code, 2);
+        t.equal(events.filter(function (e) {
+            return (e.ph === 'X');
+        }).length, 40, 'spans of both captures');
+        t.end();
+    });
+});
+
+test('--orphans', function (t) {
+    evttool(['--orphans', data('orphans.log')], function (code, stdout) {
+        var sections = stdout.split('\n=== ').slice(1).map(function (s) {
+            return (s.trim().split('\n'));
+        });
+
+        t.equal(code, 0);
+        t.equal(stdout.indexOf('{'), -1, 'no raw events');
+        t.deepEqual(sections.map(function (s) {
+            return ([s[0], s.length - 2]);
+        }), [
+            ['Never Ended (open at end of input) ===', 1],
+            ['Ended Without Beginning ===', 1],
+            ['Began Twice Without Ending ===', 1]
+        ]);
+        t.ok(sections[0][2].match(/^ +1 +90 vmapi\.createvm +headnode +r1 /));
+        t.ok(sections[1][2].match(/^ +1 cnapi\.getjob +headnode +r1 /));
+        t.ok(sections[2][2].match(/^ +1 vmapi\.getvm +headnode +r2 /));
+        t.end();
+    });
+});
+
+test('--bounded gives the same report', function (t) {
+    var args = ['-r', '-o', 'json', data('compare-base.log')];
+
+    evttool(args, function (code, stdout) {
+        var report = JSON.parse(stdout);
+
+        t.equal(code, 0);
+        evttool(args.concat(['--bounded', '--grace', '100']),
+            function (code2, stdout2) {
+
+            var bounded = JSON.parse(stdout2);
+
+            t.equal(code2, 0);
+            t.deepEqual(bounded.operations, report.operations);
+            t.equal(bounded.force_closed, 0);
+            t.equal(bounded.late_events, 0);
+            t.end();
+        });
+    });
+});
+
+test('--clocks', function (t) {
+    evttool(['--clocks', data('concurrent.log')], function (code, stdout) {
+        t.equal(code, 0);
+        t.equal(stdout.indexOf('{'), -1, 'no raw events');
+        t.ok(stdout.match(/\n +0 +- +- +- +- +headnode +\(reference\)\n/));
+        t.end();
+    });
+});
+
+test('--rules checks each request as it finishes', function (t) {
+    evttool(['--rules', data('rules.json'), data('concurrent.log')],
+        function (code, stdout) {
+
+        var lines = stdout.trim().split('\n');
+
+        t.equal(code, 3);
+        t.equal(lines.length, 6, 'each violation and its timeline command');
+        t.ok(lines[0].match(
+            /^critical +slow-create +1 +r1 +vmapi\.createvm: /));
+        t.ok(lines[4].match(/^info +max_elapsed +1 +r2 +vmapi\.getvm: /));
+        t.equal(lines[5].trim(), '$ evttool -T r2 ' + data('concurrent.log'));
+        evttool(['--rules', data('rules.json'), '--fail-on', 'critical',
+            data('compare-base.log')], function (code2) {
+
+            t.equal(code2, 0, 'only info violations');
+            t.end();
+        });
+    });
+});
+
+test('--rules alone cannot export spans', function (t) {
+    evttool(['--rules', data('rules.json'), '--zipkin', '-',
+        data('concurrent.log')], function (code, stdout, stderr) {
+
+        t.equal(code, 1);
+        t.ok(stderr.match(/--zipkin need --report or --html/));
+        evttool(['-r', '-o', 'json', '--rules', data('rules.json'),
+            '--zipkin', tmpFile('zipkin.json'), data('concurrent.log')],
+            function (code2) {
+
+            var spans = JSON.parse(fs.readFileSync(tmpFile('zipkin.json')));
+
+            fs.unlinkSync(tmpFile('zipkin.json'));
+            t.equal(code2, 3, 'critical violations');
+            t.equal(spans.length, 5, 'every span with a report');
+            t.end();
+        });
+    });
+});
+
+test('anomaly timelines use the same input', function (t) {
+    evttool(['-m', '-r', '-o', 'json', '--rules', data('rules.json'),
+        '--filter', 'elapsed > 1', '--until', '2015-04-23',
+        data('concurrent.log')], function (code, stdout) {
+
+        var report = JSON.parse(stdout);
+
+        t.equal(code, 3);
+        t.equal(report.violations[0].timeline, 'evttool -m --filter '
+            + '\'elapsed > 1\' --until 2015-04-23T00:00:00.000Z -T r1 '
+            + data('concurrent.log'));
+        t.end();
+    });
+});
+
+test('--timeline shows a loop as one line', function (t) {
+    evttool(['-T', 'r1', data('loop.log')], function (code, stdout) {
+        t.equal(code, 0);
+        t.ok(stdout.indexOf('  +10             LOOP  vmapi.cnapi.getjob '
+            + '\u00d73, total 300ms, avg 100ms, gaps avg 20ms\n') !== -1);
+        t.ok(stdout.match(/\+350 \(340\) +END +vmapi\.cnapi\.getjob \u00d73/));
+        evttool(['-T', 'r1', '--expand-loops', data('loop.log')],
+            function (code2, stdout2) {
+
+            t.equal(stdout2.indexOf('LOOP'), -1);
+            t.equal(stdout2.match(/ (START|END) +vmapi\.cnapi\.getjob\b/g)
+                .length, 6, 'each repeat');
+            t.ok(stdout2.match(/\+250 +START vmapi\.cnapi\.getjob \[2\]\n/));
+            t.end();
+        });
+    });
+});
+
+test('--shapes', function (t) {
+    evttool(['-r', '--shapes', 'sequence', data('concurrent.log')],
+        function (code, stdout) {
+
+        t.equal(code, 0);
+        t.ok(stdout.indexOf('=== Request Shapes ===\nvmapi.createvm\n'
+            + '  shape 1: 2 requests (66.7%), p50: 100, p99: 100, max: 100, '
+            + 'eg. r1\n    vmapi.getvm\n'
+            + '  shape 2: 1 requests (33.3%), p50: 50, p99: 50, max: 50, '
+            + 'eg. r3\n    (no sub-events)\n') !== -1);
+        evttool(['--shapes', 'set', data('concurrent.log')],
+            function (code2, stdout2, stderr2) {
+
+            t.equal(code2, 1);
+            t.ok(stderr2.match(/--shapes only applies to --report or --html/));
+            t.end();
+        });
+    });
+});
@@ -0,0 +1,118 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+var test = require('tape');
+
+var filter = require('../lib/filter');
+
+var T0 = Date.parse('2015-04-22T10:00:00Z');
+
+var getvm = {
+    elapsed: 250,
+    fields: {image_uuid: 'abc-123'},
+    hostname: 'cn1',
+    id: 'vmapi.getvm.3',
+    phase: 'end',
+    req: {method: 'GET'},
+    req_id: 'r1',
+    time: T0 + 1000
+};
+
+function matches(expr, evt, start) {
+    return (filter.compileFilter(expr)(evt || getvm, start));
+}
+
+test('comparisons', function (t) {
+    t.ok(matches('hostname == "cn1"'));
+    t.ok(matches("hostname == 'cn1'"));
+    t.notOk(matches('hostname != "cn1"'));
+    t.ok(matches('elapsed > 200'));
+    t.ok(matches('elapsed >= 250'));
+    t.notOk(matches('elapsed < 250'));
+    t.ok(matches('elapsed <= 250.5'));
+    t.ok(matches('id == "vmapi.getvm"'), 'id has no req_seq');
+    t.ok(matches('id =~ /^VMAPI\\./i'));
+    t.ok(matches('id !~ "cnapi"'), 'a string is a regex with =~');
+    t.ok(matches('req.method == "GET"'), 'dotted fields');
+    t.ok(matches('image_uuid == "abc-123"'), 'kept fields');
+    t.ok(matches('missing != 1'));
+    t.notOk(matches('missing == 1'));
+    t.notOk(matches('missing =~ /x/'));
+    t.ok(matches('missing !~ /x/'));
+    t.end();
+});
+
+test('time and start', function (t) {
+    t.ok(matches('time > "2015-04-22T10:00:00.500Z"'));
+    t.notOk(matches('time > "2015-04-22T10:00:01Z"'));
+    t.ok(matches('start == ' + (T0 + 750), getvm, T0 + 750));
+    t.ok(matches('start < "2015-04-22T10:00:01Z"', getvm, T0 + 750));
+    t.end();
+});
+
+test('&&, ||, ! and parentheses', function (t) {
+    t.ok(matches('hostname == "cn1" && elapsed > 100'));
+    t.notOk(matches('hostname == "cn2" && elapsed > 100'));
+    t.ok(matches('hostname == "cn2" || elapsed > 100'));
+    t.ok(matches('!(hostname == "cn2")'));
+    t.ok(matches('!!(hostname == "cn1")'));
+    // && binds tighter than ||
+    t.ok(matches('elapsed > 100 || hostname == "cn2" && elapsed > 1000'));
+    t.notOk(matches('(elapsed > 100 || hostname == "cn2") && elapsed > 1000'));
+    t.end();
+});
+
+test('syntax errors', function (t) {
+    [
+        ['hostname', /expected a comparison after "hostname" at end/],
+        ['== "cn1"', /expected a field name at 0/],
+        ['elapsed >', /expected a value after ">" at end/],
+        ['elapsed > /x/', /a \/regex\/ needs =~ or !~ at 10/],
+        ['(elapsed > 1', /expected "\)" at end/],
+        ['elapsed > 1 hostname', /unexpected "hostname" at 12/],
+        ['elapsed # 1', /unexpected "#" at 8/],
+        ['id =~ /(/', /bad regex at 6/]
+    ].forEach(function (c) {
+        t.throws(function () {
+            filter.compileFilter(c[0]);
+        }, c[1], c[0]);
+    });
+    t.end();
+});
+
+test('parseTime', function (t) {
+    var now = Date.now();
+
+    t.equal(filter.parseTime('2015-04-22T10:00:00Z'), T0);
+    t.ok(Math.abs(filter.parseTime('30m') - (now - 30 * 60 * 1000)) < 1000);
+    t.ok(Math.abs(filter.parseTime('-2h') - (now - 2 * 3600 * 1000)) < 1000);
+    t.throws(function () {
+        filter.parseTime('yesterday');
+    }, /invalid time: "yesterday"/);
+    t.end();
+});
+
+test('createFilter', function (t) {
+    var f;
+
+    t.equal(filter.createFilter({}), null, 'nothing to filter on');
+
+    f = filter.createFilter({
+        since: '2015-04-22T10:00:00.500Z',
+        until: '2015-04-22T10:00:02Z',
+        req: ['r1', 'r2']
+    });
+    t.ok(f(getvm));
+    t.notOk(f(getvm, T0), 'ends are filtered by their start');
+    t.notOk(f({req_id: 'r3', time: T0 + 1000}));
+    t.notOk(f({req_id: 'r2', time: T0 + 2000}), 'until is exclusive');
+
+    f = filter.createFilter({filter: 'hostname == "cn2"', req: ['r1']});
+    t.notOk(f(getvm));
+    t.end();
+});
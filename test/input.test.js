@@ -0,0 +1,78 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+var path = require('path');
+var test = require('tape');
+
+var input = require('../lib/input');
+
+var A = path.join(__dirname, 'data', 'merge-a.log');
+var B = path.join(__dirname, 'data', 'merge-b.log');
+
+function msgOf(line) {
+    return (line.charAt(0) === '{' ? JSON.parse(line).msg : line);
+}
+
+test('mergeLines in time order', function (t) {
+    var lines = [];
+
+    input.mergeLines([A, B], 1000, function (line, source) {
+        if (line.length === 0) {
+            // what follows the last newline
+            return;
+        }
+        lines.push([msgOf(line), path.basename(source.file), source.line]);
+    }, function (err) {
+        t.ifError(err);
+        t.deepEqual(lines, [
+            // lines without a time aren't held back
+            ['no time here', 'merge-b.log', 2],
+            ['a1', 'merge-a.log', 1],
+            ['b1', 'merge-b.log', 1],
+            ['a2', 'merge-a.log', 3],
+            ['a3', 'merge-a.log', 2],
+            ['b4', 'merge-b.log', 3],
+            ['a5', 'merge-a.log', 4],
+            ['b6', 'merge-b.log', 4]
+        ]);
+        t.end();
+    });
+});
+
+test('mergeLines of one file', function (t) {
+    var msgs = [];
+
+    input.mergeLines([B], 0, function (line) {
+        if (line.length > 0) {
+            msgs.push(msgOf(line));
+        }
+    }, function (err) {
+        t.ifError(err);
+        t.deepEqual(msgs, ['b1', 'no time here', 'b4', 'b6']);
+        t.end();
+    });
+});
+
+test('mergeLines of no files', function (t) {
+    input.mergeLines([], 0, function () {
+        t.fail('no lines expected');
+    }, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+test('mergeLines with a missing file', function (t) {
+    var missing = path.join(__dirname, 'data', 'missing.log');
+
+    input.mergeLines([A, missing], 0, function () {}, function (err) {
+        t.ok(err);
+        t.ok(err.message.indexOf(missing) !== -1, err.message);
+        t.end();
+    });
+});
@@ -0,0 +1,217 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+var test = require('tape');
+
+var EvtParser = require('../lib/parser').EvtParser;
+
+function record(name, evt, extra) {
+    var obj = {
+        name: name,
+        hostname: 'headnode',
+        pid: 123,
+        req_id: 'r1',
+        time: '2015-04-22T10:00:00.000Z',
+        evt: evt
+    };
+
+    Object.keys(extra || {}).forEach(function (k) {
+        obj[k] = extra[k];
+    });
+
+    return (JSON.stringify(obj));
+}
+
+test('parse begin and end', function (t) {
+    var parser = new EvtParser();
+    var evt;
+
+    evt = parser.parse(record('vmapi', {ph: 'b', name: 'vmapi.getvm'}),
+        {file: 'a.log', line: 3});
+    t.equal(evt.id, 'vmapi.getvm');
+    t.equal(evt.phase, 'begin');
+    t.equal(evt.req_id, 'r1');
+    t.equal(evt.hostname, 'headnode');
+    t.equal(evt.pid, 123);
+    t.equal(evt.time, Date.parse('2015-04-22T10:00:00.000Z'));
+    t.equal(evt.file, 'a.log');
+    t.equal(evt.line, 3);
+
+    evt = parser.parse(record('/opt/smartdc/cnapi', {ph: 'e', name: 'getjob'}),
+        {file: 'a.log', line: 4});
+    t.equal(evt.id, 'cnapi.getjob', 'name is prefixed with the logger name');
+    t.equal(evt.phase, 'end');
+
+    evt = parser.parse(record('cnapi', {ph: 'b', name: 'getjob',
+        req_seq: 2}), {file: 'a.log', line: 5});
+    t.equal(evt.id, 'cnapi.getjob.2', 'req_seq is appended');
+
+    evt = parser.parse(record('cnapi', {ph: 'b', name: 'getjob'},
+        {stack: 'a.b.c'}), {file: 'a.log', line: 6});
+    t.equal(evt.id, 'a.b.c', 'the stack is the id when there is one');
+
+    t.end();
+});
+
+test('stream of lines split across chunks', function (t) {
+    var evts = [];
+    var parser = new EvtParser({file: 'x.log'});
+    var text = [
+        record('vmapi', {ph: 'b', name: 'getvm'}),
+        record('vmapi', undefined, {msg: 'not an event'}),
+        record('vmapi', {ph: 'e', name: 'getvm'},
+            {time: '2015-04-22T10:00:00.250Z'})
+    ].join('\n');
+
+    parser.on('data', function (evt) {
+        evts.push(evt);
+    });
+    parser.on('end', function () {
+        t.equal(evts.length, 2);
+        t.equal(evts[0].phase, 'begin');
+        t.equal(evts[1].phase, 'end');
+        t.equal(evts[1].line, 3);
+        t.equal(evts[1].file, 'x.log');
+        t.equal(evts[1].time - evts[0].time, 250);
+        t.end();
+    });
+
+    parser.write(text.slice(0, 40));
+    parser.write(new Buffer(text.slice(40)));
+    parser.end();
+});
+
+test('stream of records', function (t) {
+    var evts = [];
+    var parser = new EvtParser();
+
+    parser.on('data', function (evt) {
+        evts.push(evt);
+    });
+    parser.on('end', function () {
+        t.deepEqual(evts.map(function (evt) {
+            return ([evt.id, evt.phase]);
+        }), [['vmapi.getvm', 'begin'], ['vmapi.getvm', 'end']]);
+        t.equal(evts[0].file, undefined, 'records have no location');
+        t.end();
+    });
+
+    parser.write(JSON.parse(record('vmapi', {ph: 'b', name: 'getvm'})));
+    parser.write({msg: 'not an event'});
+    parser.write(JSON.parse(record('vmapi', {ph: 'e', name: 'getvm'})));
+    parser.end();
+});
+
+test('parse skips malformed lines', function (t) {
+    var parser = new EvtParser();
+    var source = {file: 'a.log', line: 1};
+
+    t.equal(parser.parse('', source), null);
+    t.equal(parser.parse('not json at all', source), null);
+    t.equal(parser.parse('{"name": "vmapi", "evt": {', source), null);
+    t.equal(parser.parse('{"name": vmapi}', source), null);
+    t.equal(parser.parse(record('vmapi', {ph: 'b', name: 'getvm'},
+        {time: 'yesterday'}), source), null);
+    t.deepEqual(Object.keys(parser.skipped).sort(), ['invalid JSON',
+        'invalid time', 'not JSON', 'truncated JSON']);
+    t.equal(parser.skipped['not JSON'].first, 'a.log:1');
+    t.equal(parser.skipped['not JSON'].count, 1);
+
+    t.end();
+});
+
+test('parse skips records without a name', function (t) {
+    var parser = new EvtParser();
+    var source = {file: 'a.log', line: 7};
+
+    t.equal(parser.parse(JSON.stringify({req_id: 'r1', hostname: 'h',
+        time: '2015-04-22T10:00:00.000Z', evt: {ph: 'b', name: 'x'}}),
+        source), null);
+    t.equal(parser.parse(record('vmapi', {ph: 'e'}), source), null);
+    t.deepEqual(parser.skipped, {'missing name': {count: 2,
+        first: 'a.log:7'}});
+
+    t.end();
+});
+
+test('parse ignores unusable events and plain messages', function (t) {
+    var parser = new EvtParser();
+    var source = {file: 'a.log', line: 1};
+
+    t.equal(parser.parse(record('vmapi', {ph: 'i', name: 'tick'}), source),
+        null);
+    t.equal(parser.parse(record('vmapi', {ph: 'b', name: 'getvm'},
+        {req_id: undefined}), source), null);
+    t.equal(parser.parse(record('vmapi', undefined, {msg: 'hi'}), source),
+        null);
+    t.deepEqual(parser.ignored, {tick: 1, getvm: 1});
+    t.deepEqual(parser.skipped, {});
+
+    t.end();
+});
+
+test('parse ignores anything before the JSON', function (t) {
+    var parser = new EvtParser();
+    var evt;
+
+    evt = parser.parse('Apr 22 10:00:00 headnode vmapi[123]: '
+        + record('vmapi', {ph: 'b', name: 'getvm'}), {file: 'a', line: 1});
+    t.equal(evt.id, 'vmapi.getvm');
+
+    t.end();
+});
+
+test('strict parse throws on malformed lines', function (t) {
+    var parser = new EvtParser({strict: true});
+
+    t.throws(function () {
+        parser.parse('syslog: ' + record('vmapi', {ph: 'b', name: 'getvm'}),
+            {file: 'a.log', line: 2});
+    }, /a\.log:2: invalid JSON/);
+    t.throws(function () {
+        parser.parse('[1, 2]', {file: 'a.log', line: 1});
+    }, /a\.log:1: not a JSON object/);
+    t.throws(function () {
+        parser.parse(record('vmapi', {ph: 'b'}), {file: 'a.log', line: 3});
+    }, /a\.log:3: missing name/);
+
+    t.end();
+});
+
+test('stream with a record without a name', function (t) {
+    var evts = [];
+    var parser = new EvtParser();
+
+    parser.on('data', function (evt) {
+        evts.push(evt);
+    });
+    parser.on('error', function (err) {
+        t.ifError(err);
+    });
+    parser.on('end', function () {
+        t.equal(evts.length, 1);
+        t.equal(parser.skipped['missing name'].count, 1);
+        t.end();
+    });
+
+    parser.write({req_id: 'r1', hostname: 'h', evt: {ph: 'b', name: 'x'},
+        time: '2015-04-22T10:00:00.000Z'});
+    parser.write(JSON.parse(record('vmapi', {ph: 'b', name: 'getvm'})));
+    parser.end();
+});
+
+test('kept fields', function (t) {
+    var parser = new EvtParser({fields: ['image_uuid', 'req.method']});
+    var evt;
+
+    evt = parser.parse(record('vmapi', {ph: 'b', name: 'getvm'},
+        {image_uuid: 'i1', req: {method: 'GET'}}), {file: 'a', line: 1});
+    t.deepEqual(evt.fields, {image_uuid: 'i1', 'req.method': 'GET'});
+
+    t.end();
+});
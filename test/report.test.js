@@ -0,0 +1,92 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+var test = require('tape');
+
+var report = require('../lib/report');
+var spans = require('../lib/spans');
+
+function span(req_id, id, start, elapsed, fields) {
+    return ({
+        elapsed: elapsed,
+        fields: fields,
+        hostname: 'headnode',
+        id: id,
+        req_id: req_id,
+        start: start
+    });
+}
+
+test('--group-by splits operations by a field', function (t) {
+    var summary = report.buildReport({
+        r1: [span('r1', 'vmapi.createvm', 0, 100, {image_uuid: 'i1'})],
+        r2: [
+            span('r2', 'vmapi.createvm', 0, 300),
+            // found on a sub-event when the top-level one doesn't have it
+            span('r2', 'imgapi.getimage', 10, 20, {image_uuid: 'i2'})
+        ],
+        r3: [span('r3', 'vmapi.createvm', 0, 200, {image_uuid: 'i1'})],
+        r4: [span('r4', 'vmapi.createvm', 0, 50)]
+    }, {group_by: 'image_uuid'});
+
+    t.deepEqual(summary.operations.map(function (op) {
+        return ([op.id, op.count]);
+    }).sort(), [
+        ['vmapi.createvm image_uuid=<none>', 1],
+        ['vmapi.createvm image_uuid=i1', 2],
+        ['vmapi.createvm image_uuid=i2', 1]
+    ]);
+    t.end();
+});
+
+// vmapi.createvm that imports its image first (or not) and polls a job
+function provision(req_id, elapsed, import_image) {
+    var list = [span(req_id, 'vmapi.createvm', 0, elapsed)];
+
+    if (import_image) {
+        list.push(span(req_id, 'imgapi.import', 10, 20));
+    }
+    list.push(span(req_id, 'cnapi.getjob', 40, 10));
+    list.push(span(req_id, 'cnapi.getjob.1', 60, 10));
+    list.push(span(req_id, 'cn-agent.machine_create', 80, 10));
+    list.push(span(req_id, 'cnapi.getjob.2', 95, 5));
+
+    return (list);
+}
+
+test('request shapes', function (t) {
+    var tree = spans.buildSpanTree(provision('r1', 100, true));
+
+    t.deepEqual(report.requestShape(tree, 'set'), ['cn-agent.machine_create',
+        'cnapi.getjob', 'imgapi.import']);
+    t.deepEqual(report.requestShape(tree, 'sequence'), ['imgapi.import',
+        'cnapi.getjob', 'cn-agent.machine_create', 'cnapi.getjob'],
+        'repeats one after the other are listed once');
+    t.end();
+});
+
+test('--shapes breaks operations down by shape', function (t) {
+    var summary = report.buildReport({
+        r1: provision('r1', 100, false),
+        r2: provision('r2', 400, true),
+        r3: provision('r3', 200, false),
+        r4: provision('r4', 300, false)
+    }, {shapes: 'set'});
+
+    t.deepEqual(summary.operations[0].shapes.map(function (shape) {
+        return ([shape.events.join(' '), shape.count, shape.share_pct,
+            shape.stats.max, shape.example]);
+    }), [
+        ['cn-agent.machine_create cnapi.getjob', 3, 75, 300, 'r1'],
+        ['cn-agent.machine_create cnapi.getjob imgapi.import', 1, 25, 400,
+            'r2']
+    ]);
+    t.equal(report.buildReport({r1: provision('r1', 100, false)},
+        {}).operations[0].shapes, undefined, 'only with opts.shapes');
+    t.end();
+});
@@ -0,0 +1,167 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var test = require('tape');
+
+var rules = require('../lib/rules');
+var spans = require('../lib/spans');
+
+function span(id, start, elapsed) {
+    return ({
+        elapsed: elapsed,
+        hostname: 'headnode',
+        id: id,
+        req_id: 'r1',
+        start: start
+    });
+}
+
+// vmapi.createvm running cnapi.getjob 3 times, then cn-agent.machine_create
+function tree() {
+    return (spans.buildSpanTree([
+        span('vmapi.createvm', 0, 1000),
+        span('cnapi.getjob', 10, 20),
+        span('cnapi.getjob.1', 40, 20),
+        span('cnapi.getjob.2', 70, 300),
+        span('cn-agent.machine_create', 400, 500)
+    ]));
+}
+
+function check(list) {
+    return (rules.checkRequest(rules.compileRules(list, 'test'), 'r1',
+        tree()).map(function (v) {
+        return ([v.rule, v.severity, v.id, v.count, v.detail]);
+    }));
+}
+
+function tmpFile(name, contents) {
+    var file = path.join(os.tmpdir(),
+        'evttool-test.' + process.pid + '.' + name);
+
+    fs.writeFileSync(file, contents);
+    return (file);
+}
+
+test('max_repeat and max_elapsed', function (t) {
+    t.deepEqual(check([
+        {type: 'max_repeat', max: 2},
+        {type: 'max_repeat', id: '^vmapi', max: 0, severity: 'info'}
+    ]), [
+        ['max_repeat', 'warning', 'cnapi.getjob', 3, 'ran 3 times (max 2)'],
+        ['max_repeat', 'info', 'vmapi.createvm', 1, 'ran 1 times (max 0)']
+    ]);
+    t.deepEqual(check([
+        {name: 'slow', type: 'max_elapsed', max: 999},
+        {type: 'max_elapsed', id: '^cnapi\\.getjob$', max: 100},
+        {type: 'max_elapsed', max: 1000}
+    ]), [
+        ['slow', 'warning', 'vmapi.createvm', 1, 'took 1000ms (max 999ms)'],
+        ['max_elapsed', 'warning', 'cnapi.getjob', 1,
+            'took 300ms (max 100ms)']
+    ]);
+    t.end();
+});
+
+test('required_child, forbidden_sequence and operation', function (t) {
+    t.deepEqual(check([
+        {type: 'required_child', id: '^vmapi', child: 'machine_create'},
+        {type: 'required_child', id: '^cnapi', child: 'machine_create'}
+    ]), [
+        ['required_child', 'warning', 'cnapi.getjob', 3,
+            'has nothing matching /machine_create/ under it']
+    ]);
+    t.deepEqual(check([
+        {type: 'forbidden_sequence', sequence: ['getjob', 'machine_create']},
+        {type: 'forbidden_sequence', sequence: ['machine_create', 'getjob']}
+    ]), [
+        ['forbidden_sequence', 'warning', 'getjob -> machine_create', 1,
+            'ran in a forbidden order']
+    ]);
+    t.deepEqual(check([
+        {type: 'max_repeat', max: 0, operation: '^docker\\.'}
+    ]), [], 'only for matching operations');
+    t.end();
+});
+
+test('late', function (t) {
+    var late = spans.buildSpanTree([
+        {id: 'a', hostname: 'headnode', span_id: '1', start: 0, elapsed: 10},
+        {id: 'b', hostname: 'headnode', parent_id: '1', start: 20,
+            elapsed: 10}
+    ]);
+
+    t.deepEqual(rules.checkRequest(rules.DEFAULT_RULES, 'r1',
+        late).map(function (v) {
+        return ([v.rule, v.id]);
+    }), [['late', 'b']]);
+    t.deepEqual(rules.checkRequest(rules.DEFAULT_RULES, 'r1', tree()), []);
+    t.end();
+});
+
+test('bad rules', function (t) {
+    [
+        [{}, /test: expected a list of rules/],
+        [[null], /test: rule 1: expected an object/],
+        [[{type: 'nope'}], /rule 1: unknown type "nope"/],
+        [[{type: 'late', max: 1}], /rule 1: unknown field "max" for late/],
+        [[{type: 'late'}, {type: 'max_repeat'}],
+            /rule 2: max_repeat needs "max"/],
+        [[{type: 'max_repeat', max: -1}], /max must be a number >= 0/],
+        [[{type: 'late', severity: 'bad'}],
+            /severity must be one of info, warning, critical/],
+        [[{type: 'late', id: '('}], /rule 1: bad id: /],
+        [[{type: 'forbidden_sequence', sequence: ['a']}],
+            /sequence must be a list of at least 2 regexes/]
+    ].forEach(function (c) {
+        t.throws(function () {
+            rules.compileRules(c[0], 'test');
+        }, c[1]);
+    });
+    t.end();
+});
+
+test('loading rules files', function (t) {
+    var files = [
+        tmpFile('rules.json', '{"rules": [{"type": "late"}]}'),
+        tmpFile('list.json', '[{"type": "late"}]'),
+        tmpFile('rules.yaml', 'rules:\n  - type: late\n'),
+        tmpFile('list.YML', '- type: late\n')
+    ];
+    var bad = [
+        [tmpFile('bad.json', '{"rules": '), /bad\.json: /],
+        [tmpFile('bad.yaml', 'rules: [\n'), /bad\.yaml: /],
+        [tmpFile('scalar.json', '3'),
+            /scalar\.json: expected a list of rules or an object with "rules"/],
+        [tmpFile('norules.json', '{}'),
+            /norules\.json: expected a list of rules/]
+    ];
+
+    files.forEach(function (file) {
+        t.deepEqual(rules.loadRules(file).map(function (r) {
+            return ([r.name, r.type, r.severity]);
+        }), [['late', 'late', 'warning']], path.basename(file));
+        fs.unlinkSync(file);
+    });
+    bad.forEach(function (c) {
+        t.throws(function () {
+            rules.loadRules(c[0]);
+        }, c[1]);
+        fs.unlinkSync(c[0]);
+    });
+    t.end();
+});
+
+test('severityAtLeast', function (t) {
+    t.ok(rules.severityAtLeast('critical', 'warning'));
+    t.ok(rules.severityAtLeast('warning', 'warning'));
+    t.notOk(rules.severityAtLeast('info', 'warning'));
+    t.end();
+});
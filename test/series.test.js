@@ -0,0 +1,93 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+var test = require('tape');
+
+var series = require('../lib/series');
+var spans = require('../lib/spans');
+
+function add(s, id, start, elapsed) {
+    series.seriesAddRequest(s, spans.buildSpanTree([
+        {id: id, hostname: 'headnode', start: start, elapsed: elapsed}
+    ]));
+}
+
+// Each bucket of 'operation' as [starts, completions, concurrency, p50]
+function buckets(operation) {
+    return (operation.buckets.map(function (b) {
+        return ([b.starts, b.completions, b.concurrency, b.p50]);
+    }));
+}
+
+test('requests in intervals', function (t) {
+    var s = series.createSeries({interval: 1000});
+    var summary;
+
+    add(s, 'vmapi.createvm', 1200, 300);
+    add(s, 'vmapi.createvm', 1900, 2100);
+    add(s, 'vmapi.getvm', 2500, 100);
+    add(s, 'vmapi.createvm.1', 3100, 200);
+    summary = series.seriesSummary(s);
+
+    t.equal(summary.interval, 1000);
+    t.equal(summary.start, 1000);
+    t.deepEqual(summary.operations.map(function (o) {
+        return ([o.id, o.count, o.buckets.length]);
+    }), [['vmapi.createvm', 3, 4], ['vmapi.getvm', 1, 4]],
+        'most requests first, req_seq suffixes trimmed');
+    t.deepEqual(summary.operations[0].buckets.map(function (b) {
+        return (b.time);
+    }), [1000, 2000, 3000, 4000]);
+    t.deepEqual(buckets(summary.operations[0]), [
+        [2, 1, 2, 300],
+        [0, 0, 1, null],
+        [1, 1, 2, 200],
+        [0, 1, 0, 2100]
+    ], 'a request ending right as an interval starts is not in flight in it');
+    t.deepEqual(buckets(summary.operations[1]), [
+        [0, 0, 0, null],
+        [1, 1, 1, 100],
+        [0, 0, 0, null],
+        [0, 0, 0, null]
+    ]);
+    t.end();
+});
+
+test('only matching operations', function (t) {
+    var s = series.createSeries({interval: 1000, events: /getvm/});
+
+    add(s, 'vmapi.createvm', 0, 100);
+    add(s, 'vmapi.getvm', 5000, 0);
+    t.deepEqual(series.seriesSummary(s).operations.map(function (o) {
+        return ([o.id, buckets(o)]);
+    }), [['vmapi.getvm', [[1, 1, 1, 0]]]]);
+    t.end();
+});
+
+test('no requests', function (t) {
+    t.deepEqual(series.seriesSummary(series.createSeries({interval: 1000})),
+        {interval: 1000, start: null, operations: []});
+    t.end();
+});
+
+test('memory does not grow with requests', function (t) {
+    var s = series.createSeries({interval: 1000});
+    var i;
+
+    for (i = 0; i < 1000; i++) {
+        add(s, 'vmapi.getvm', (i % 10) * 100, 500);
+    }
+    t.deepEqual(Object.keys(s.operations['vmapi.getvm'].buckets), ['0', '1']);
+    t.deepEqual(Object.keys(s.operations['vmapi.getvm'].changes),
+        ['0', '1', '2']);
+    t.deepEqual(buckets(series.seriesSummary(s).operations[0]), [
+        [1000, 500, 1000, 500],
+        [0, 500, 400, 500]
+    ], 'those ending at 1000 are not in flight after it');
+    t.end();
+});
@@ -0,0 +1,222 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+var test = require('tape');
+
+var spans = require('../lib/spans');
+
+function span(id, start, elapsed, extra) {
+    var s = {
+        elapsed: elapsed,
+        hostname: 'headnode',
+        id: id,
+        req_id: 'r1',
+        start: start
+    };
+
+    Object.keys(extra || {}).forEach(function (k) {
+        s[k] = extra[k];
+    });
+
+    return (s);
+}
+
+// The tree as [id, [children...]] for each root
+function shape(spanList) {
+    return (spanList.map(function (s) {
+        return (s.children.length > 0 ? [s.id, shape(s.children)] : s.id);
+    }));
+}
+
+test('spans nest by time', function (t) {
+    var tree = spans.buildSpanTree([
+        span('c', 20, 10),
+        span('a', 0, 100),
+        span('b', 10, 50),
+        span('d', 70, 10)
+    ]);
+
+    t.deepEqual(shape(tree.roots), [['a', [['b', ['c']], 'd']]]);
+    t.deepEqual(tree.spans.map(function (s) {
+        return (s.id);
+    }), ['a', 'b', 'c', 'd'], 'spans are sorted by start');
+    t.equal(tree.roots[0].end, 100);
+    t.equal(tree.spans[2].depth, 2);
+    t.equal(tree.spans[2].parent.id, 'b');
+
+    t.end();
+});
+
+test('a longer span starting at the same time is the parent', function (t) {
+    var tree = spans.buildSpanTree([
+        span('inner', 0, 10),
+        span('outer', 0, 20)
+    ]);
+
+    t.deepEqual(shape(tree.roots), [['outer', ['inner']]]);
+    t.end();
+});
+
+test('parent_id wins over time', function (t) {
+    var tree = spans.buildSpanTree([
+        span('a', 0, 100, {span_id: 's1'}),
+        span('b', 10, 50, {span_id: 's2'}),
+        span('c', 20, 10, {span_id: 's3', parent_id: 's1'}),
+        // a parent that ended before its child started
+        span('d', 200, 10, {span_id: 's4', parent_id: 's2'})
+    ]);
+
+    t.deepEqual(shape(tree.roots), [['a', [['b', ['d']], 'c']]]);
+    t.ok(tree.spans[3].late, 'd started after b ended');
+    t.notOk(tree.spans[2].late);
+
+    t.end();
+});
+
+test('stack prefixes', function (t) {
+    var tree = spans.buildSpanTree([
+        span('x', 0, 100, {stack: 'x'}),
+        span('x.y', 10, 20, {stack: 'x.y'}),
+        span('z', 12, 5, {stack: 'x.z'})
+    ]);
+
+    // z is in y's time, but its stack says it's x's
+    t.deepEqual(shape(tree.roots), [['x', ['x.y', 'z']]]);
+    t.end();
+});
+
+test('unrelated spans are roots', function (t) {
+    var tree = spans.buildSpanTree([
+        span('a', 0, 10),
+        span('b', 5, 10),
+        span('c', 30, 10)
+    ]);
+
+    t.deepEqual(shape(tree.roots), ['a', 'b', 'c']);
+    t.deepEqual(tree.roots.map(function (s) {
+        return (s.late);
+    }), [false, false, true], 'roots after the first one ended are late');
+    t.end();
+});
+
+test('bogus parent_ids make no cycles', function (t) {
+    var tree = spans.buildSpanTree([
+        span('a', 0, 10, {span_id: 's1', parent_id: 's2'}),
+        span('b', 0, 10, {span_id: 's2', parent_id: 's1'}),
+        span('c', 0, 10, {span_id: 's3', parent_id: 's3'})
+    ]);
+    var seen = 0;
+
+    spans.walkSpans(tree.roots, function () {
+        seen++;
+    });
+    t.equal(seen, 3, 'every span is in the tree once');
+    t.ok(tree.roots.length > 0);
+    t.end();
+});
+
+test('the events are not changed', function (t) {
+    var events = [span('a', 0, 10), span('b', 2, 5)];
+
+    spans.buildSpanTree(events);
+    t.deepEqual(events, [span('a', 0, 10), span('b', 2, 5)]);
+    t.end();
+});
+
+// The loops of 'tree' as [id, repeats, parent id, first span index, count]
+function loops(tree) {
+    return (spans.findLoops(tree).map(function (loop) {
+        return ([loop.id, loop.repeats, loop.parent ? loop.parent.id : null,
+            tree.spans.indexOf(loop.spans[0]), loop.spans.length]);
+    }));
+}
+
+test('a polling loop', function (t) {
+    var found;
+    var tree = spans.buildSpanTree([
+        span('vmapi.createvm', 0, 1000),
+        span('cnapi.getjob', 10, 100),
+        span('cnapi.getjob', 120, 100),
+        span('cnapi.getjob', 240, 100),
+        span('cnapi.getjob', 370, 200),
+        span('cn-agent.machine_create', 600, 300)
+    ]);
+
+    t.deepEqual(loops(tree), [['cnapi.getjob', 4, 'vmapi.createvm', 1, 4]]);
+    found = spans.findLoops(tree)[0];
+    t.equal(found.start, 10);
+    t.equal(found.end, 570);
+    t.equal(found.total, 500);
+    t.equal(found.avg, 125);
+    t.equal(found.gap_avg, 20, '(10 + 20 + 30) / 3');
+    t.end();
+});
+
+test('a loop of more than one id', function (t) {
+    var tree = spans.buildSpanTree([
+        span('vmapi.createvm', 0, 1000),
+        span('get', 0, 10),
+        span('wait', 10, 90),
+        span('get', 100, 10),
+        span('wait', 110, 90),
+        span('get', 200, 10),
+        span('wait', 210, 90),
+        span('get', 300, 10)
+    ]);
+
+    t.deepEqual(loops(tree), [['get, wait', 3, 'vmapi.createvm', 1, 6]]);
+    t.equal(spans.findLoops(tree)[0].gap_avg, 0);
+    t.end();
+});
+
+test('what is not a loop', function (t) {
+    t.deepEqual(loops(spans.buildSpanTree([
+        span('a', 0, 1000),
+        span('b', 0, 10),
+        span('b', 20, 10)
+    ])), [], 'too few repeats');
+    t.deepEqual(loops(spans.buildSpanTree([
+        span('a', 0, 1000),
+        span('b', 0, 100),
+        span('c', 0, 10),
+        span('b', 100, 100),
+        span('c', 200, 10),
+        span('b', 300, 100)
+    ])), [], 'nothing repeats');
+    t.deepEqual(loops(spans.buildSpanTree([
+        span('a', 0, 1000, {span_id: 'a'}),
+        span('b', 0, 100, {parent_id: 'a'}),
+        span('b', 50, 100, {parent_id: 'a'}),
+        span('b', 100, 100, {parent_id: 'a'})
+    ])), [], 'repeats have to follow each other');
+    t.end();
+});
+
+test('loops are found at every depth, but not within loops', function (t) {
+    var tree = spans.buildSpanTree([
+        span('a', 0, 1000),
+        span('b', 0, 400),
+        span('c', 0, 100, {stack: 'b'}),
+        span('c', 100, 100, {stack: 'b'}),
+        span('c', 200, 100, {stack: 'b'}),
+        span('d', 500, 100),
+        span('d.e', 500, 10),
+        span('d', 600, 100),
+        span('d.e', 600, 10),
+        span('d', 700, 100),
+        span('d.e', 700, 10),
+        span('d.e', 720, 10),
+        span('d.e', 740, 10)
+    ]);
+
+    t.deepEqual(loops(tree), [
+        ['c', 3, 'b', 2, 3],
+        ['d', 3, 'a', 5, 3]
+    ]);
+    t.end();
+});
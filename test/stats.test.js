@@ -0,0 +1,118 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2015, Joyent, Inc.
+ */
+
+var test = require('tape');
+
+var stats = require('../lib/stats');
+
+function statsOf(values) {
+    var s = stats.createStats();
+
+    values.forEach(function (value) {
+        stats.statsAdd(s, value);
+    });
+
+    return (s);
+}
+
+test('empty stats', function (t) {
+    var summary = stats.statsSummary(stats.createStats());
+
+    t.equal(summary.count, 0);
+    t.equal(summary.min, null);
+    t.equal(summary.max, null);
+    t.equal(summary.mean, 0);
+    t.equal(summary.p50, null);
+    t.equal(summary['p99.9'], null);
+
+    t.end();
+});
+
+test('summary', function (t) {
+    var summary = stats.statsSummary(statsOf([10, 20, 30, 40]));
+
+    t.deepEqual(summary, {
+        count: 4,
+        min: 10,
+        max: 40,
+        mean: 25,
+        stddev: 11.18,
+        p50: 20,
+        p90: 40,
+        p95: 40,
+        p99: 40,
+        'p99.9': 40
+    });
+
+    t.end();
+});
+
+test('percentiles are within the accuracy', function (t) {
+    var idx;
+    var s = stats.createStats();
+    var values;
+
+    for (idx = 1; idx <= 10000; idx++) {
+        stats.statsAdd(s, idx);
+    }
+
+    values = stats.statsPercentiles(s, [1, 50, 90, 99, 100]);
+    [100, 5000, 9000, 9900, 10000].forEach(function (expected, i) {
+        t.ok(Math.abs(values[i] - expected) <= expected * 0.01,
+            values[i] + ' is within 1% of ' + expected);
+    });
+
+    t.end();
+});
+
+test('zeros', function (t) {
+    var s = statsOf([0, 0, 0, 5]);
+
+    t.deepEqual(stats.statsPercentiles(s, [50, 75, 100]), [0, 0, 5]);
+    t.equal(stats.statsSummary(s).min, 0);
+
+    t.end();
+});
+
+test('power of two buckets', function (t) {
+    var buckets = stats.powerOfTwoBuckets(statsOf([1, 3, 3, 20]));
+
+    t.deepEqual(buckets, {
+        max_count: 2,
+        1: 0,
+        2: 1,
+        4: 2,
+        8: 0,
+        16: 0,
+        32: 1,
+        64: 0
+    });
+
+    t.end();
+});
+
+test('median of an even count is not an average', function (t) {
+    var s = statsOf([1, 2, 3, 100]);
+
+    // nearest rank: the 2nd of 4
+    t.deepEqual(stats.statsPercentiles(s, [50]), [2]);
+    t.end();
+});
+
+test('merge', function (t) {
+    var a = statsOf([1, 2, 3]);
+    var b = statsOf([100, 200]);
+    var all = statsOf([1, 2, 3, 100, 200]);
+
+    stats.statsMerge(a, b);
+    t.deepEqual(a, all);
+    stats.statsMerge(a, stats.createStats());
+    t.deepEqual(a, all, 'merging empty stats changes nothing');
+
+    t.end();
+});